@@ -1,9 +1,43 @@
-import { transpose, chain, iter, arrayEqual } from "./reusables";
-import { ArgumentTypeError, WrongSchemaError, MixedTypeError } from "./errors";
+import {
+    transpose,
+    chain,
+    iter,
+    arrayEqual,
+    range,
+    pick,
+    isNumber,
+    isPlainObject
+} from "./reusables";
+import {
+    ArgumentTypeError,
+    WrongSchemaError,
+    MixedTypeError,
+    NoSuchColumnError,
+    ColumnTypeError,
+    ColumnCollisionError,
+    TooManyRowsError,
+    DuplicateKeyError,
+    NoIndexError,
+    QuantileBinsError
+} from "./errors";
 import Row from "./row";
-import { groupBy } from "./group";
-import { __columns__, __rows__ } from "./symbol";
+import Stat from "./modules/stat";
+import { groupBy, groupingSets, pivotTable } from "./group";
+import { lazy } from "./lazy";
+import { window } from "./window";
+import {
+    __columns__,
+    __rows__,
+    __schema__,
+    __data__,
+    __count__,
+    __rowsView__,
+    __index__,
+    __indexTable__,
+    __ownedColumns__
+} from "./symbol";
 import * as io from "./io";
+import { checkType, castAs, matchesType } from "./types";
 
 /**
  * DataFrame data structure providing an immutable, flexible and powerfull way to manipulate data with columns and rows.
@@ -24,6 +58,7 @@ class DataFrame {
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
      * @param {String} sep The separator used to parse the file.
      * @param {Boolean} [header=true] A boolean indicating if the text has a header or not.
+     * @param {Object} [options={}] Additional options. inferTypes: cast columns into number, boolean, date or string (empty cells become null), sampleSize: the number of rows used to infer types (1000 by default), a column holding later values of another type being a string one, types: a column/type object overriding inferred types, throwing a CastError on values of another type.
      * @example
      * DataFrame.fromDSV('http://myurl/myfile.txt').then(df => df.show())
      * // In browser Only
@@ -31,9 +66,12 @@ class DataFrame {
      * // From node.js only Only
      * DataFrame.fromDSV('/my/absolue/path/myfile.txt').then(df => df.show())
      * DataFrame.fromDSV('/my/absolue/path/myfile.txt', ';', true).then(df => df.show())
+     * DataFrame.fromDSV('/my/absolue/path/myfile.txt', ';', true, { inferTypes: true, types: { id: 'string' } }).then(df => df.schema())
      */
     static fromDSV(...args) {
-        return io.fromDSV(...args).then((content) => new DataFrame(content));
+        return io
+            .fromDSV(...args)
+            .then((content) => DataFrame._fromParsedText(content));
     }
 
     /**
@@ -41,6 +79,7 @@ class DataFrame {
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
      * @param {String} sep The separator used to parse the file.
      * @param {Boolean} [header=true] A boolean indicating if the text has a header or not.
+     * @param {Object} [options={}] Additional options. inferTypes: cast columns into number, boolean, date or string (empty cells become null), sampleSize: the number of rows used to infer types (1000 by default), a column holding later values of another type being a string one, types: a column/type object overriding inferred types, throwing a CastError on values of another type.
      * @example
      * DataFrame.fromText('http://myurl/myfile.txt').then(df => df.show())
      * // In browser Only
@@ -50,13 +89,16 @@ class DataFrame {
      * DataFrame.fromText('/my/absolue/path/myfile.txt', ';', true).then(df => df.show())
      */
     static fromText(...args) {
-        return io.fromText(...args).then((content) => new DataFrame(content));
+        return io
+            .fromText(...args)
+            .then((content) => DataFrame._fromParsedText(content));
     }
 
     /**
      * Create a DataFrame from a comma separated values file. It returns a Promise.
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
      * @param {Boolean} [header=true] A boolean indicating if the csv has a header or not.
+     * @param {Object} [options={}] Additional options. inferTypes: cast columns into number, boolean, date or string (empty cells become null), sampleSize: the number of rows used to infer types (1000 by default), a column holding later values of another type being a string one, types: a column/type object overriding inferred types, throwing a CastError on values of another type.
      * @example
      * DataFrame.fromCSV('http://myurl/myfile.csv').then(df => df.show())
      * // For browser only
@@ -64,15 +106,19 @@ class DataFrame {
      * // From node.js only
      * DataFrame.fromCSV('/my/absolue/path/myfile.csv').then(df => df.show())
      * DataFrame.fromCSV('/my/absolue/path/myfile.csv', true).then(df => df.show())
+     * DataFrame.fromCSV('/my/absolue/path/myfile.csv', true, { inferTypes: true }).then(df => df.schema())
      */
     static fromCSV(...args) {
-        return io.fromCSV(...args).then((content) => new DataFrame(content));
+        return io
+            .fromCSV(...args)
+            .then((content) => DataFrame._fromParsedText(content));
     }
 
     /**
      * Create a DataFrame from a tab separated values file. It returns a Promise.
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
      * @param {Boolean} [header=true] A boolean indicating if the tsv has a header or not.
+     * @param {Object} [options={}] Additional options. inferTypes: cast columns into number, boolean, date or string (empty cells become null), sampleSize: the number of rows used to infer types (1000 by default), a column holding later values of another type being a string one, types: a column/type object overriding inferred types, throwing a CastError on values of another type.
      * @example
      * DataFrame.fromTSV('http://myurl/myfile.tsv').then(df => df.show())
      * // For browser only
@@ -82,13 +128,16 @@ class DataFrame {
      * DataFrame.fromTSV('/my/absolue/path/myfile.tsv', true).then(df => df.show())
      */
     static fromTSV(...args) {
-        return io.fromTSV(...args).then((content) => new DataFrame(content));
+        return io
+            .fromTSV(...args)
+            .then((content) => DataFrame._fromParsedText(content));
     }
 
     /**
      * Create a DataFrame from a pipe separated values file. It returns a Promise.
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
      * @param {Boolean} [header=true] A boolean indicating if the psv has a header or not.
+     * @param {Object} [options={}] Additional options. inferTypes: cast columns into number, boolean, date or string (empty cells become null), sampleSize: the number of rows used to infer types (1000 by default), a column holding later values of another type being a string one, types: a column/type object overriding inferred types, throwing a CastError on values of another type.
      * @example
      * DataFrame.fromPSV('http://myurl/myfile.psv').then(df => df.show())
      * // For browser only
@@ -98,27 +147,145 @@ class DataFrame {
      * DataFrame.fromPSV('/my/absolue/path/myfile.psv', true).then(df => df.show())
      */
     static fromPSV(...args) {
-        return io.fromPSV(...args).then((content) => new DataFrame(content));
+        return io
+            .fromPSV(...args)
+            .then((content) => DataFrame._fromParsedText(content));
     }
 
     /**
      * Create a DataFrame from a JSON file. It returns a Promise.
      * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {Object} [options={}] Additional options. flatten: flatten nested Objects into columns as DataFrame.flatten() (false by default), separator and maxDepth: the DataFrame.flatten() options.
      * @example
      * DataFrame.fromJSON('http://myurl/myfile.json').then(df => df.show())
      * // For browser only
      * DataFrame.fromJSON(myFile).then(df => df.show())
      * // From node.js only
      * DataFrame.fromJSON('/my/absolute/path/myfile.json').then(df => df.show())
+     * DataFrame.fromJSON('/my/absolute/path/myfile.json', { flatten: true }).then(df => df.select('address.city'))
      */
-    static fromJSON(...args) {
-        return io.fromJSON(...args).then((content) => new DataFrame(content));
+    static fromJSON(pathOrFile, options = {}) {
+        return io
+            .fromJSON(pathOrFile)
+            .then((content) =>
+                DataFrame._flattenIf(new DataFrame(content), options)
+            );
+    }
+
+    /**
+     * Create a DataFrame from a newline-delimited JSON file (JSON Lines), one row by line. It returns a Promise.
+     * Blank lines are ignored and columns are the union of all the records keys.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {Object} [options={}] Additional options, as for DataFrame.fromJSON().
+     * @example
+     * DataFrame.fromNDJSON('http://myurl/myfile.ndjson').then(df => df.show())
+     * // For browser only
+     * DataFrame.fromNDJSON(myFile).then(df => df.show())
+     * // From node.js only
+     * DataFrame.fromNDJSON('/my/absolute/path/myfile.ndjson', { flatten: true, separator: '_' }).then(df => df.show())
+     */
+    static fromNDJSON(pathOrFile, options = {}) {
+        return io
+            .fromNDJSON(pathOrFile)
+            .then(([content, columns]) =>
+                DataFrame._flattenIf(new DataFrame(content, columns), options)
+            );
+    }
+
+    /**
+     * Read a delimiter separated values text file by chunks. It returns an async iterable of DataFrames.
+     * Quoted fields containing line breaks are kept intact, even when they straddle two read chunks.
+     * /!\ Local files are streamed on node.js only. Urls and browser File objects are loaded at once, then chunked.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {String} sep The separator used to parse the file.
+     * @param {Boolean} [header=true] A boolean indicating if the text has a header or not.
+     * @param {Object} [options={}] Additional options. chunkSize: the maximal number of rows by DataFrame (10000 by default), bufferSize: the number of bytes read at once (65536 by default).
+     * @example
+     * for await (const chunk of DataFrame.streamDSV('/my/absolue/path/myfile.txt', ';', true, { chunkSize: 5000 })) {
+     *      chunk.show();
+     * }
+     */
+    static streamDSV(...args) {
+        return DataFrame._fromChunks(io.streamDSV(...args));
+    }
+
+    /**
+     * Read a delimiter separated values text file by chunks. It returns an async iterable of DataFrames. Alias of DataFrame.streamDSV.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {String} sep The separator used to parse the file.
+     * @param {Boolean} [header=true] A boolean indicating if the text has a header or not.
+     * @param {Object} [options={}] Additional options. chunkSize: the maximal number of rows by DataFrame (10000 by default).
+     * @example
+     * for await (const chunk of DataFrame.streamText('/my/absolue/path/myfile.txt', ';')) {
+     *      chunk.show();
+     * }
+     */
+    static streamText(...args) {
+        return DataFrame._fromChunks(io.streamText(...args));
+    }
+
+    /**
+     * Read a comma separated values file by chunks. It returns an async iterable of DataFrames.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {Boolean} [header=true] A boolean indicating if the csv has a header or not.
+     * @param {Object} [options={}] Additional options. chunkSize: the maximal number of rows by DataFrame (10000 by default).
+     * @example
+     * for await (const chunk of DataFrame.streamCSV('/my/absolue/path/myfile.csv', true, { chunkSize: 5000 })) {
+     *      chunk.show();
+     * }
+     */
+    static streamCSV(...args) {
+        return DataFrame._fromChunks(io.streamCSV(...args));
+    }
+
+    /**
+     * Read a tab separated values file by chunks. It returns an async iterable of DataFrames.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {Boolean} [header=true] A boolean indicating if the tsv has a header or not.
+     * @param {Object} [options={}] Additional options. chunkSize: the maximal number of rows by DataFrame (10000 by default).
+     * @example
+     * for await (const chunk of DataFrame.streamTSV('/my/absolue/path/myfile.tsv')) {
+     *      chunk.show();
+     * }
+     */
+    static streamTSV(...args) {
+        return DataFrame._fromChunks(io.streamTSV(...args));
+    }
+
+    /**
+     * Read a pipe separated values file by chunks. It returns an async iterable of DataFrames.
+     * @param {String | File} pathOrFile A path to the file (url or local) or a browser File object.
+     * @param {Boolean} [header=true] A boolean indicating if the psv has a header or not.
+     * @param {Object} [options={}] Additional options. chunkSize: the maximal number of rows by DataFrame (10000 by default).
+     * @example
+     * for await (const chunk of DataFrame.streamPSV('/my/absolue/path/myfile.psv')) {
+     *      chunk.show();
+     * }
+     */
+    static streamPSV(...args) {
+        return DataFrame._fromChunks(io.streamPSV(...args));
+    }
+
+    static _fromParsedText(content) {
+        return content.types
+            ? new DataFrame(content, content.types)
+            : new DataFrame(content);
+    }
+
+    static _flattenIf(df, { flatten = false, ...options }) {
+        return flatten ? df.flatten(undefined, options) : df;
+    }
+
+    static async *_fromChunks(chunks) {
+        for await (const [rows, columns] of chunks) {
+            yield new DataFrame(rows, columns);
+        }
     }
 
     /**
      * Create a new DataFrame.
      * @param {Array | Object | DataFrame} data The data of the DataFrame.
-     * @param {Array} columns The DataFrame column names.
+     * @param {Array | Object} columns The DataFrame column names, or a schema Object giving the type (number, boolean, date or string) of each column.
      * @param {Object} options Additional options. Example: modules.
      * @example
      * new DataFrame({
@@ -140,14 +307,31 @@ class DataFrame {
      *
      * new DataFrame(df);
      *
+     * new DataFrame([
+     *      {name: 'Alice', age: 32, birth: new Date('1987-06-02')},
+     * ], {name: 'string', age: 'number', birth: 'date'})
+     *
      * new DataFrame(yourData, yourColumns, {modules: [MyOwnModule, MyOtherModule]})
      */
     constructor(data, columns, options = {}) {
-        [this[__rows__], this[__columns__]] = this._build(data, columns);
+        const schema =
+            columns && !Array.isArray(columns) ? columns : undefined;
+        [this[__data__], this[__columns__], this[__count__]] = this._build(
+            data,
+            schema ? Object.keys(schema) : columns
+        );
+        this[__schema__] = this._checkSchema(
+            schema ||
+                (data instanceof DataFrame
+                    ? this._restrictSchema(this[__columns__], data[__schema__])
+                    : {})
+        );
         this.options = options;
         this.options.modules = [
-            ...DataFrame.defaultModules,
-            ...(this.options.modules || [])
+            ...new Set([
+                ...DataFrame.defaultModules,
+                ...(this.options.modules || [])
+            ])
         ];
         Object.assign(
             this,
@@ -161,6 +345,31 @@ class DataFrame {
         }
     }
 
+    get [__rows__]() {
+        if (!this[__rowsView__]) {
+            this[__rowsView__] = range(this[__count__]).map(
+                (index) => this._rowAt(index)
+            );
+        }
+        return this[__rowsView__];
+    }
+
+    // Give a Row from the row view when built, else without building the view.
+    _eachRow(func) {
+        const rowsView = this[__rowsView__];
+        for (let index = 0; index < this[__count__]; index++) {
+            func(rowsView ? rowsView[index] : this._rowAt(index), index);
+        }
+    }
+
+    _rowAt(index) {
+        const values = Array(this[__data__].length);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = this[__data__][i][index];
+        }
+        return new Row(values, this[__columns__]);
+    }
+
     _columnsAreEquals(columns, columns2 = this[__columns__]) {
         for (const key of Object.keys(columns)) {
             if (columns[key] !== columns2[key]) return false;
@@ -168,22 +377,127 @@ class DataFrame {
         return true;
     }
 
-    __newInstance__(data, columns) {
+    __newInstance__(data, columns, schema = this[__schema__]) {
         if (!this._columnsAreEquals(columns) || !(data[0] instanceof Row)) {
-            return new DataFrame(data, columns, this.options);
+            return new DataFrame(data, columns, this.options)._setSchema(
+                schema
+            );
         }
 
         const firstRowColumns = Object.keys(data[0].toDict());
         if (!arrayEqual(firstRowColumns, this[__columns__], true)) {
-            return new DataFrame(data, firstRowColumns, this.options);
+            return new DataFrame(
+                data,
+                firstRowColumns,
+                this.options
+            )._setSchema(schema);
         }
 
+        const [columnsData] = this._fromArray(data, columns);
+        return this.__fromColumns__(columnsData, columns, schema, [...data]);
+    }
+
+    __fromColumns__(data, columns, schema = this[__schema__], rows) {
+        data.forEach((values) => this._disownColumn(values));
         const newInstance = new DataFrame([], [], this.options);
-        newInstance[__rows__] = [...data];
+        newInstance[__data__] = data;
         newInstance[__columns__] = [...columns];
+        newInstance[__count__] =
+            data.length > 0
+                ? data[0].length
+                : rows
+                ? rows.length
+                : this[__count__];
+        newInstance[__rowsView__] = rows;
+        // The index survives while its column keeps the same values.
+        const index = this[__index__];
+        if (
+            index !== undefined &&
+            data[columns.indexOf(index)] === this._columnValues(index)
+        ) {
+            newInstance[__index__] = index;
+            newInstance[__indexTable__] = this[__indexTable__];
+        }
+        // Columns keeping the values and the type of a column were checked.
+        const checkedColumns = columns.filter((column, columnIndex) => {
+            const sourceIndex = this[__data__].indexOf(data[columnIndex]);
+            return (
+                sourceIndex !== -1 &&
+                this[__schema__][this[__columns__][sourceIndex]] ===
+                    schema[column]
+            );
+        });
+        return newInstance._setSchema(schema, checkedColumns);
+    }
+
+    __subset__(indexes) {
+        return this._subsetBy(
+            (values) => pick(values, indexes),
+            indexes.length,
+            // Repeated rows would repeat the index labels.
+            this[__index__] !== undefined &&
+                new Set(indexes).size === indexes.length
+        );
+    }
+
+    _subsetBy(subsetValues, count, keepIndex) {
+        const newInstance = new DataFrame([], [], this.options);
+        newInstance[__data__] = this[__data__].map(subsetValues);
+        newInstance[__columns__] = [...this[__columns__]];
+        newInstance[__count__] = count;
+        newInstance[__rowsView__] = this[__rowsView__]
+            ? subsetValues(this[__rowsView__])
+            : undefined;
+        newInstance[__schema__] = Object.assign({}, this[__schema__]);
+        if (keepIndex) newInstance[__index__] = this[__index__];
         return newInstance;
     }
 
+    _columnValues(columnName) {
+        const index = this[__columns__].indexOf(columnName);
+        if (index === -1) {
+            throw new NoSuchColumnError(columnName, this[__columns__]);
+        }
+        const values = this[__data__][index];
+        this._disownColumn(values);
+        return values;
+    }
+
+    _disownColumn(values) {
+        // A shared column array must be copied again before any in-place write.
+        if (this[__ownedColumns__]) this[__ownedColumns__].delete(values);
+    }
+
+    _restrictSchema(columns, schema = this[__schema__]) {
+        return Object.assign(
+            {},
+            ...Object.entries(schema)
+                .filter(([column]) => columns.includes(column))
+                .map(([column, type]) => ({ [column]: type }))
+        );
+    }
+
+    _checkSchema(schema, checkedColumns = []) {
+        Object.entries(schema).forEach(([column, type]) => {
+            checkType(type);
+            if (checkedColumns.includes(column)) return;
+            for (const value of this._columnValues(column)) {
+                if (!matchesType(value, type)) {
+                    throw new ColumnTypeError(column, value, type);
+                }
+            }
+        });
+        return Object.assign({}, schema);
+    }
+
+    _setSchema(schema, checkedColumns) {
+        this[__schema__] = this._checkSchema(
+            this._restrictSchema(this[__columns__], schema),
+            checkedColumns
+        );
+        return this;
+    }
+
     __instanciateModules__(modules, df = undefined) {
         return modules.map((Plugin) => {
             const pluginInstance = new Plugin(df ? df : this);
@@ -193,10 +507,16 @@ class DataFrame {
 
     _build(data, columns) {
         if (data instanceof DataFrame) {
-            return this._fromArray(
-                Array.from(data[__rows__]),
-                columns || data[__columns__]
-            );
+            const newColumns = columns || data[__columns__];
+            return [
+                newColumns.map((column) =>
+                    data[__columns__].includes(column)
+                        ? data._columnValues(column)
+                        : Array(data.count()).fill(undefined)
+                ),
+                newColumns,
+                data.count()
+            ];
         }
         if (data instanceof Array && data.length > 0) {
             return this._fromArray(
@@ -223,75 +543,463 @@ class DataFrame {
     }
 
     _fromDict(dict, columns) {
+        const values = Object.values(dict);
+        const count = values.reduce((p, n) => Math.max(p, n.length), 0);
         return [
-            transpose(Object.values(dict)).map((row) => new Row(row, columns)),
-            columns
+            columns.map((column, index) =>
+                values[index]
+                    ? range(count).map((i) => values[index][i])
+                    : Array(count).fill(undefined)
+            ),
+            columns,
+            count
         ];
     }
 
     _fromArray(array, columns) {
-        return [array.map((row) => new Row(row, columns)), columns];
-    }
-
-    _joinByType(gdf1, gdf2, type, newColumns) {
-        const gdf2Hashs = gdf2.listHashs();
-        return gdf1
-            .toCollection()
-            .map(({ group, hash }) => {
-                const isContained = gdf2Hashs.includes(hash);
-                let modifiedGroup = group;
-                if (gdf2.get(hash)) {
-                    const gdf2Collection = gdf2.get(hash).group.toCollection();
-                    const combinedGroup = group
-                        .toCollection()
-                        .map((row) => {
-                            return gdf2Collection.map((row2) =>
-                                Object.assign({}, row2, row)
-                            );
-                        })
-                        .reduce((p, n) => [...p, ...n], []);
-                    modifiedGroup = this.__newInstance__(
-                        combinedGroup,
-                        newColumns
-                    );
+        const data = columns.map(() => Array(array.length));
+        array.forEach((row, rowIndex) => {
+            if (!row || !(row instanceof Object)) {
+                throw new ArgumentTypeError(row, "Row | Array | Object");
+            }
+            const values = row instanceof Row ? row.toDict() : row;
+            if (values instanceof Array) {
+                columns.forEach((column, index) => {
+                    data[index][rowIndex] = values[index];
+                });
+            } else {
+                columns.forEach((column, index) => {
+                    data[index][rowIndex] = values[column];
+                });
+            }
+        });
+        return [data, columns, array.length];
+    }
+
+    _joinKeys(columns) {
+        if (this[__count__] === 0) return [];
+        const columnsValues = columns.map((column) =>
+            this._columnValues(column)
+        );
+        return range(this[__count__]).map((index) =>
+            JSON.stringify(columnsValues.map((values) => values[index]))
+        );
+    }
+
+    // Give the row indexes by hash of columns, from the index when on it.
+    _hashTable(columns) {
+        const indexTable =
+            this[__index__] !== undefined &&
+            columns.length === 1 &&
+            columns[0] === this[__index__]
+                ? this._indexTable()
+                : null;
+        if (indexTable) return indexTable;
+        const hashTable = new Map();
+        this._joinKeys(columns).forEach((hash, index) => {
+            if (!hashTable.has(hash)) hashTable.set(hash, []);
+            hashTable.get(hash).push(index);
+        });
+        return hashTable;
+    }
+
+    // Give the row of each index label hash, or null with duplicated labels.
+    _indexTable() {
+        if (this[__indexTable__] === undefined) {
+            const indexTable = new Map();
+            this[__indexTable__] = this._joinKeys([this[__index__]]).every(
+                (hash, index) =>
+                    !indexTable.has(hash) && indexTable.set(hash, [index])
+            )
+                ? indexTable
+                : null;
+        }
+        return this[__indexTable__];
+    }
+
+    _uniqueIndexTable() {
+        if (this[__index__] === undefined) throw new NoIndexError();
+        const indexTable = this._indexTable();
+        if (!indexTable) {
+            const hashes = new Set();
+            throw new DuplicateKeyError(
+                this._joinKeys([this[__index__]]).find(
+                    (hash) => hashes.has(hash) || !hashes.add(hash)
+                ),
+                this[__index__]
+            );
+        }
+        return indexTable;
+    }
+
+    _hashJoinIndexes(
+        dfToJoin,
+        [keys, keysToJoin],
+        keepUnmatched,
+        keepUnmatchedToJoin,
+        keepMatched = true
+    ) {
+        const hashTable = dfToJoin._hashTable(keysToJoin);
+
+        const [indexes, indexesToJoin] = [[], []];
+        const matchedHashes = new Set();
+        this._joinKeys(keys).forEach((hash, index) => {
+            const matches = hashTable.get(hash);
+            if (matches) {
+                matchedHashes.add(hash);
+                if (!keepMatched) return;
+                for (const matchIndex of matches) {
+                    indexes.push(index);
+                    indexesToJoin.push(matchIndex);
                 }
-                const filterCondition = (bool) =>
-                    bool ? modifiedGroup : false;
-                if (type === "full") return modifiedGroup;
-                return type === "out"
-                    ? filterCondition(!isContained)
-                    : filterCondition(isContained);
-            })
-            .filter((group) => group);
+            } else if (keepUnmatched) {
+                indexes.push(index);
+                indexesToJoin.push(-1);
+            }
+        });
+        if (keepUnmatchedToJoin) {
+            const unmatched = Array(dfToJoin.count()).fill(false);
+            hashTable.forEach((matches, hash) => {
+                if (matchedHashes.has(hash)) return;
+                for (const matchIndex of matches) unmatched[matchIndex] = true;
+            });
+            unmatched.forEach((isUnmatched, index) => {
+                if (isUnmatched) {
+                    indexes.push(-1);
+                    indexesToJoin.push(index);
+                }
+            });
+        }
+        return [indexes, indexesToJoin];
+    }
+
+    _joinOn(columnNames) {
+        if (
+            columnNames instanceof Object &&
+            !Array.isArray(columnNames) &&
+            columnNames.left &&
+            columnNames.right
+        ) {
+            const [keys, keysToJoin] = [
+                [].concat(columnNames.left),
+                [].concat(columnNames.right)
+            ];
+            if (keys.length !== keysToJoin.length) {
+                throw new ArgumentTypeError(
+                    columnNames,
+                    "{left, right} with as many columns on both sides"
+                );
+            }
+            return [keys, keysToJoin];
+        }
+        const columns = Array.isArray(columnNames)
+            ? columnNames
+            : [columnNames];
+        return [columns, columns];
     }
 
-    _join(dfToJoin, columnNames, types) {
+    _join(dfToJoin, columnNames, how, options = {}) {
         if (!(dfToJoin instanceof DataFrame))
             throw new ArgumentTypeError(dfToJoin, "DataFrame");
+        const on = this._joinOn(columnNames);
+        return this._joinRows(
+            dfToJoin,
+            on,
+            how === "right"
+                ? dfToJoin
+                      ._hashJoinIndexes(this, [on[1], on[0]], true, false)
+                      .reverse()
+                : this._hashJoinIndexes(
+                      dfToJoin,
+                      on,
+                      ["left", "full", "diff"].includes(how),
+                      ["full", "diff"].includes(how),
+                      how !== "diff"
+                  ),
+            options
+        );
+    }
+
+    _filterJoin(dfToJoin, columnNames, keepMatched) {
+        if (!(dfToJoin instanceof DataFrame))
+            throw new ArgumentTypeError(dfToJoin, "DataFrame");
+        const [keys, keysToJoin] = this._joinOn(columnNames);
+        const hashTable = dfToJoin._hashTable(keysToJoin);
+        const indexes = [];
+        this._joinKeys(keys).forEach((hash, index) => {
+            if (hashTable.has(hash) === keepMatched) indexes.push(index);
+        });
+        return this.__subset__(indexes);
+    }
+
+    _whereMatches(dfToJoin, condition) {
+        if (typeof condition === "function") {
+            const rowsToJoin = dfToJoin[__rows__];
+            return this[__rows__].map((row) => {
+                const matches = [];
+                rowsToJoin.forEach((rowToJoin, indexToJoin) => {
+                    if (condition(row, rowToJoin)) matches.push(indexToJoin);
+                });
+                return matches;
+            });
+        }
+        if (
+            condition instanceof Object &&
+            Array.isArray(condition.left) !== Array.isArray(condition.right) &&
+            [].concat(condition.left, condition.right).length === 3
+        ) {
+            return Array.isArray(condition.right)
+                ? this._rangeMatches(dfToJoin, condition, true)
+                : dfToJoin._rangeMatches(
+                      this,
+                      { left: condition.right, right: condition.left },
+                      false
+                  );
+        }
+        throw new ArgumentTypeError(
+            condition,
+            "Function | {left: column, right: [start, end]}"
+        );
+    }
+
+    _rangeMatches(dfToJoin, { left, right }, matchesByPoint) {
+        const isMissing = (v) => [NaN, null, undefined].includes(v);
+        const points = this._columnValues(left);
+        const [starts, ends] = right.map((column) =>
+            dfToJoin._columnValues(column)
+        );
+
+        // Points are sorted once, then scanned by binary search per interval.
+        const sortedIndexes = range(this[__count__])
+            .filter((index) => !isMissing(points[index]))
+            .sort((p, n) =>
+                points[p] < points[n] ? -1 : points[p] > points[n] ? 1 : p - n
+            );
+        const sortedPoints = pick(points, sortedIndexes);
+
+        const matches = range(
+            matchesByPoint ? this[__count__] : dfToJoin[__count__]
+        ).map(() => []);
+        for (let index = 0; index < dfToJoin[__count__]; index++) {
+            const [start, end] = [starts[index], ends[index]];
+            if (isMissing(start) || isMissing(end)) continue;
+            let [low, high] = [0, sortedPoints.length];
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                if (sortedPoints[middle] < start) low = middle + 1;
+                else high = middle;
+            }
+            for (let i = low; i < sortedPoints.length; i++) {
+                if (sortedPoints[i] > end) break;
+                if (matchesByPoint) matches[sortedIndexes[i]].push(index);
+                else matches[index].push(sortedIndexes[i]);
+            }
+        }
+        return matchesByPoint
+            ? matches
+            : matches.map((indexes) => indexes.sort((p, n) => p - n));
+    }
+
+    _whereJoinIndexes(dfToJoin, condition, keepUnmatched, keepUnmatchedToJoin) {
+        const [indexes, indexesToJoin] = [[], []];
+        const matchedIndexesToJoin = new Set();
+        this._whereMatches(dfToJoin, condition).forEach((matches, index) => {
+            if (matches.length === 0 && keepUnmatched) {
+                indexes.push(index);
+                indexesToJoin.push(-1);
+            }
+            for (const matchIndex of matches) {
+                indexes.push(index);
+                indexesToJoin.push(matchIndex);
+                matchedIndexesToJoin.add(matchIndex);
+            }
+        });
+        if (keepUnmatchedToJoin) {
+            for (let index = 0; index < dfToJoin[__count__]; index++) {
+                if (!matchedIndexesToJoin.has(index)) {
+                    indexes.push(-1);
+                    indexesToJoin.push(index);
+                }
+            }
+        }
+        return [indexes, indexesToJoin];
+    }
+
+    _asofJoinIndexes(
+        dfToJoin,
+        [key, keyToJoin],
+        [by, byToJoin],
+        direction,
+        tolerance
+    ) {
+        const isMissing = (v) => [NaN, null, undefined].includes(v);
+        const [values, valuesToJoin] = [
+            this._columnValues(key),
+            dfToJoin._columnValues(keyToJoin)
+        ];
+        // dfToJoin is sorted by key, so each group lists its rows by key.
+        const groups = new Map();
+        dfToJoin._joinKeys(byToJoin).forEach((hash, index) => {
+            if (isMissing(valuesToJoin[index])) return;
+            if (!groups.has(hash)) groups.set(hash, []);
+            groups.get(hash).push(index);
+        });
+
+        const distance = (index, indexToJoin) =>
+            Math.abs(values[index] - valuesToJoin[indexToJoin]);
+        // First position of the group whose key is greater (or equal).
+        const bound = (group, value, orEqual) => {
+            let [low, high] = [0, group.length];
+            while (low < high) {
+                const middle = (low + high) >>> 1;
+                const valueToJoin = valuesToJoin[group[middle]];
+                if (orEqual ? valueToJoin < value : valueToJoin <= value) {
+                    low = middle + 1;
+                } else high = middle;
+            }
+            return low;
+        };
+        const hashes = this._joinKeys(by);
+        const indexesToJoin = range(this[__count__]).map((index) => {
+            const group = groups.get(hashes[index]);
+            if (!group || isMissing(values[index])) return -1;
+            const [after, atOrAfter] = [
+                bound(group, values[index], false),
+                bound(group, values[index], true)
+            ];
+            const backward = after > 0 ? group[after - 1] : -1;
+            const forward = atOrAfter < group.length ? group[atOrAfter] : -1;
+            const candidates = {
+                backward: [backward],
+                forward: [forward],
+                nearest: [backward, forward]
+            }[direction].filter((indexToJoin) => indexToJoin !== -1);
+            const match = candidates.reduce(
+                (best, indexToJoin) =>
+                    best === -1 ||
+                    distance(index, indexToJoin) < distance(index, best)
+                        ? indexToJoin
+                        : best,
+                -1
+            );
+            return match !== -1 &&
+                tolerance !== undefined &&
+                distance(index, match) > tolerance
+                ? -1
+                : match;
+        });
+        return [range(this[__count__]), indexesToJoin];
+    }
+
+    _joinRows(dfToJoin, on, [indexes, indexesToJoin], options) {
+        const [columnsNames, columnsNamesToJoin] = this._joinColumns(
+            dfToJoin,
+            on,
+            options
+        );
+
+        // Join keys give their values to unmatched rows before other columns.
+        const sourcesToJoin = new Map();
+        columnsNamesToJoin.forEach((column, index) => {
+            if (
+                !sourcesToJoin.has(column) ||
+                on[1].includes(dfToJoin[__columns__][index])
+            ) {
+                sourcesToJoin.set(column, index);
+            }
+        });
         const newColumns = [
-            ...new Set([...this.listColumns(), ...dfToJoin.listColumns()])
+            ...new Set([...columnsNames, ...columnsNamesToJoin])
         ];
-        const columns = Array.isArray(columnNames)
-            ? columnNames
-            : [columnNames];
-        const gdf = this.groupBy(...columns);
-        const gdfToJoin = dfToJoin.groupBy(...columns);
-        return [
-            this.__newInstance__([], newColumns),
-            ...iter(
-                [
-                    ...(types[0]
-                        ? this._joinByType(gdf, gdfToJoin, types[0], newColumns)
-                        : []),
-                    ...(types[1]
-                        ? this._joinByType(gdfToJoin, gdf, types[1], newColumns)
-                        : [])
-                ],
-                (group) => group.restructure(newColumns)
+        const data = newColumns.map((column) => {
+            const values = this[__data__][columnsNames.indexOf(column)];
+            const valuesToJoin = dfToJoin[__data__][sourcesToJoin.get(column)];
+            return indexes.map((index, i) => {
+                if (values && index !== -1) return values[index];
+                if (valuesToJoin && indexesToJoin[i] !== -1) {
+                    return valuesToJoin[indexesToJoin[i]];
+                }
+                return undefined;
+            });
+        });
+        return this.__fromColumns__(
+            data,
+            newColumns,
+            this._joinSchema(dfToJoin, columnsNames, columnsNamesToJoin)
+        );
+    }
+
+    _joinColumns(
+        dfToJoin,
+        [keys, keysToJoin],
+        { suffixes, raiseOnCollision = false }
+    ) {
+        const findCollisions = (columnsNames, columnsNamesToJoin) =>
+            columnsNamesToJoin.filter(
+                (column, index) =>
+                    columnsNames.includes(column) &&
+                    !keysToJoin.includes(dfToJoin[__columns__][index])
+            );
+        const collisions = findCollisions(
+            this[__columns__],
+            dfToJoin[__columns__]
+        );
+        if (raiseOnCollision && collisions.length > 0) {
+            throw new ColumnCollisionError(collisions);
+        }
+
+        const [suffix, suffixToJoin] = suffixes || ["", ""];
+        const addSuffix = (column, columnSuffix) =>
+            collisions.includes(column) ? `${column}${columnSuffix}` : column;
+        const columnsNames = this[__columns__].map((column) =>
+            addSuffix(column, suffix)
+        );
+        // Keys of the joined DataFrame are merged into the left keys.
+        const columnsNamesToJoin = dfToJoin[__columns__].map((column) => {
+            if (!keysToJoin.includes(column)) {
+                return addSuffix(column, suffixToJoin);
+            }
+            const key = keys[keysToJoin.indexOf(column)];
+            const keyIndex = this[__columns__].indexOf(key);
+            return keyIndex === -1 ? key : columnsNames[keyIndex];
+        });
+        const remainingCollisions = findCollisions(
+            columnsNames,
+            columnsNamesToJoin
+        );
+        if (suffixes && remainingCollisions.length > 0) {
+            throw new ColumnCollisionError(remainingCollisions);
+        }
+        return [columnsNames, columnsNamesToJoin];
+    }
+
+    _joinSchema(dfToJoin, columnsNames, columnsNamesToJoin) {
+        const renameSchema = (schema, columnsBefore, columnsAfter) =>
+            Object.entries(schema).map(([column, type]) => [
+                columnsAfter[columnsBefore.indexOf(column)],
+                type
+            ]);
+        const schema = Object.assign(
+            {},
+            ...renameSchema(
+                this[__schema__],
+                this[__columns__],
+                columnsNames
+            ).map(([column, type]) => ({ [column]: type }))
+        );
+        return Object.assign(
+            schema,
+            ...renameSchema(
+                dfToJoin[__schema__],
+                dfToJoin[__columns__],
+                columnsNamesToJoin
             )
-        ]
-            .reduce((p, n) => p.union(n))
-            .dropDuplicates();
+                .filter(
+                    ([column, type]) =>
+                        !schema[column] || schema[column] === type
+                )
+                .map(([column, type]) => ({ [column]: type }))
+        );
     }
 
     _cleanSavePath(path) {
@@ -391,6 +1099,19 @@ class DataFrame {
         return io.toJSON(this, ...args);
     }
 
+    /**
+     * Convert the DataFrame into a newline-delimited json string (JSON Lines), one row by line. You can also save the file if you are using nodejs.
+     * @param {String} [path] The path to save the file. /!\ Works only on node.js, not into the browser.
+     * @returns {String} The ndjson file in raw string.
+     * @example
+     * df.toNDJSON()
+     * // From node.js only
+     * df.toNDJSON('/my/absolute/path/dataframe.ndjson')
+     */
+    toNDJSON(...args) {
+        return io.toNDJSON(this, ...args);
+    }
+
     /**
      * Convert DataFrame into dict / hash / object.
      * @returns {Object} The DataFrame converted into dict.
@@ -400,9 +1121,9 @@ class DataFrame {
     toDict() {
         return Object.assign(
             {},
-            ...Object.entries(
-                this.transpose().toArray()
-            ).map(([index, column]) => ({ [this[__columns__][index]]: column }))
+            ...this[__columns__].map((column, index) => ({
+                [column]: [...this[__data__][index]]
+            }))
         );
     }
 
@@ -415,8 +1136,10 @@ class DataFrame {
      */
     toArray(columnName) {
         return columnName
-            ? Array.from(this).map((row) => row.get(columnName))
-            : Array.from(this).map((row) => row.toArray());
+            ? [...this._columnValues(columnName)]
+            : range(this[__count__]).map((index) =>
+                  this[__data__].map((values) => values[index])
+              );
     }
 
     /**
@@ -429,11 +1152,20 @@ class DataFrame {
     toCollection(ofRows) {
         return ofRows
             ? Array.from(this)
-            : Array.from(this).map((row) => row.toDict());
+            : range(this[__count__]).map((index) =>
+                  Object.assign(
+                      {},
+                      ...this[__columns__].map((column, columnIndex) => ({
+                          [column]: this[__data__][columnIndex][index]
+                      }))
+                  )
+              );
     }
 
     /**
      * Display the DataFrame as String Table. Can only return a sring instead of displaying the DataFrame.
+     * Declared column types are displayed under the header.
+     * The index column comes first, its name in brackets.
      * @param {Number} [rows=10] The number of lines to display.
      * @param {Boolean} [quiet=false] Quiet mode. If true, only returns a string instead of console.log().
      * @returns {String} The DataFrame as String Table.
@@ -453,18 +1185,38 @@ class DataFrame {
                               Array(10 - columnAsString.length).join(" ");
                 })
                 .join(" | ")} |`;
-        const header = makeRow(this[__columns__]);
-        let token = 0;
+        const index = this[__index__];
+        const columns =
+            index !== undefined
+                ? [
+                      index,
+                      ...this[__columns__].filter((column) => column !== index)
+                  ]
+                : this[__columns__];
+        const columnsData = columns.map((column) =>
+            this._columnValues(column)
+        );
+        const header = makeRow(
+            columns.map((column) => (column === index ? `[${column}]` : column))
+        );
+        const types =
+            Object.keys(this[__schema__]).length > 0
+                ? [
+                      makeRow(
+                          columns.map((column) =>
+                              this[__schema__][column]
+                                  ? `<${this[__schema__][column]}>`
+                                  : ""
+                          )
+                      )
+                  ]
+                : [];
         const toShow = [
             header,
+            ...types,
             Array(header.length).join("-"),
-            ...iter(
-                this[__rows__],
-                (row) => {
-                    token++;
-                    return makeRow(row.toArray());
-                },
-                () => token >= rows
+            ...range(Math.min(rows, this[__count__])).map((rowIndex) =>
+                makeRow(columnsData.map((values) => values[rowIndex]))
             )
         ].join("\n");
         if (!quiet) {
@@ -493,7 +1245,7 @@ class DataFrame {
     transpose(tranposeColumnNames) {
         const newColumns = [
             ...(tranposeColumnNames ? ["rowNames"] : []),
-            ...[...Array(this.count()).keys()].reverse()
+            ...range(this.count()).reverse()
         ];
         const transposedRows = transpose(
             (tranposeColumnNames
@@ -514,7 +1266,7 @@ class DataFrame {
      * df.count()
      */
     count() {
-        return this[__rows__].length;
+        return this[__count__];
     }
 
     /**
@@ -527,9 +1279,9 @@ class DataFrame {
      * df.select('column1').countValue(5)
      */
     countValue(valueToCount, columnName = this[__columns__][0]) {
-        return this.filter(
-            (row) => row.get(columnName) === valueToCount
-        ).count();
+        return this._columnValues(columnName).filter(
+            (value) => value === valueToCount
+        ).length;
     }
 
     /**
@@ -558,12 +1310,21 @@ class DataFrame {
                 ? columnNames
                 : this[__columns__];
         const values = Array.isArray(value) ? value : [value];
-        return this.map((row) =>
-            (columns.length > 0 ? columns : this[__columns__]).reduce(
-                (p, n) =>
-                    values.includes(p.get(n)) ? p.set(n, replacement) : p,
-                row
-            )
+        const columnsToReplace = columns.map((column) => {
+            this._columnValues(column);
+            return column;
+        });
+        return this.__fromColumns__(
+            this[__data__].map((columnValues, index) =>
+                columnsToReplace.includes(this[__columns__][index])
+                    ? columnValues.map((columnValue) =>
+                          values.includes(columnValue)
+                              ? replacement
+                              : columnValue
+                      )
+                    : columnValues
+            ),
+            this[__columns__]
         );
     }
 
@@ -603,6 +1364,111 @@ class DataFrame {
         return [...this[__columns__]];
     }
 
+    /**
+     * Get the DataFrame schema: the declared types of its columns, or the types detected when importing a file with the inferTypes option.
+     * @returns {Object} An Object giving the type (number, boolean, date or string) of each typed column.
+     * @example
+     * df.schema()
+     */
+    schema() {
+        return Object.assign({}, this[__schema__]);
+    }
+
+    /**
+     * Get the column used as index by DataFrame.setIndex().
+     * @returns {String} The index column, or undefined without index.
+     * @example
+     * df.getIndex()
+     */
+    getIndex() {
+        return this[__index__];
+    }
+
+    /**
+     * Set a column as index, to look up rows by label with DataFrame.loc(). Its values must be unique.
+     * The index is kept through filters, sorts and other operations keeping its column values, and used by joins on its column.
+     * @param {String} columnName The column giving the row labels.
+     * @returns {DataFrame} A new DataFrame indexed by the column.
+     * @example
+     * df.setIndex('id').loc('abc')
+     */
+    setIndex(columnName) {
+        this._columnValues(columnName);
+        const indexedDF = this.__fromColumns__(
+            this[__data__],
+            this[__columns__]
+        );
+        indexedDF[__index__] = columnName;
+        indexedDF[__indexTable__] = undefined;
+        indexedDF._uniqueIndexTable();
+        return indexedDF;
+    }
+
+    /**
+     * Remove the index. The index column stays in the DataFrame.
+     * @returns {DataFrame} A new DataFrame without index.
+     * @example
+     * df.setIndex('id').resetIndex()
+     */
+    resetIndex() {
+        const df = this.__fromColumns__(this[__data__], this[__columns__]);
+        df[__index__] = undefined;
+        df[__indexTable__] = undefined;
+        return df;
+    }
+
+    /**
+     * Look up rows by their index label, through a hash table.
+     * @param label The label of the row, or an Array of labels.
+     * @returns {Row | DataFrame} The Row of the label (undefined if not found), or a DataFrame of the rows found for an Array of labels.
+     * @example
+     * df.setIndex('id').loc('abc')
+     * df.setIndex('id').loc(['abc', 'def'])
+     */
+    loc(label) {
+        const indexTable = this._uniqueIndexTable();
+        const positionOf = (value) => {
+            const positions = indexTable.get(JSON.stringify([value]));
+            return positions ? positions[0] : undefined;
+        };
+        if (Array.isArray(label)) {
+            return this.__subset__(
+                label
+                    .map(positionOf)
+                    .filter((position) => position !== undefined)
+            );
+        }
+        const position = positionOf(label);
+        return position === undefined ? undefined : this.getRow(position);
+    }
+
+    /**
+     * Declare the types of some columns. The values are validated against the new schema, or casted first.
+     * @param {Object} schema An Object giving the type (number, boolean, date or string) of the columns to type.
+     * @param {Boolean} [cast=false] Cast the values into the declared types before validating them. Empty values become null.
+     * @returns {DataFrame} A new DataFrame with the new schema.
+     * @example
+     * df.withSchema({column1: 'number', column2: 'date'})
+     * df.withSchema({column1: 'number'}, true)
+     */
+    withSchema(schema, cast = false) {
+        const newSchema = Object.assign({}, this[__schema__], schema);
+        Object.keys(schema).forEach((column) => this._columnValues(column));
+        return this.__fromColumns__(
+            cast
+                ? this[__columns__].map((column, index) =>
+                      schema[column]
+                          ? this[__data__][index].map((value) =>
+                                castAs(value, schema[column])
+                            )
+                          : this[__data__][index]
+                  )
+                : this[__data__],
+            this[__columns__],
+            newSchema
+        );
+    }
+
     /**
      * Select columns in the DataFrame.
      * @param {...String} columnNames The columns to select.
@@ -611,8 +1477,8 @@ class DataFrame {
      * df.select('column1', 'column3')
      */
     select(...columnNames) {
-        return this.__newInstance__(
-            this[__rows__].map((row) => row.select(...columnNames)),
+        return this.__fromColumns__(
+            columnNames.map((column) => this._columnValues(column)),
             columnNames
         );
     }
@@ -627,16 +1493,128 @@ class DataFrame {
      * df.withColumn('column2', (row) => row.get('column2') * 2)
      */
     withColumn(columnName, func = () => undefined) {
-        return this.__newInstance__(
-            this[__rows__].map((row, index) => {
-                return row.set(columnName, func(row, index));
-            }),
-            this[__columns__].includes(columnName)
-                ? this[__columns__]
-                : [...this[__columns__], columnName]
+        const values = Array(this[__count__]);
+        this._eachRow((row, index) => {
+            values[index] = func(row, index);
+        });
+        return this._withColumnValues(columnName, values);
+    }
+
+    _withColumnValues(columnName, values) {
+        return this[__columns__].includes(columnName)
+            ? this.__fromColumns__(
+                  this[__columns__].map((column, index) =>
+                      column === columnName ? values : this[__data__][index]
+                  ),
+                  this[__columns__]
+              )
+            : this.__fromColumns__(
+                  [...this[__data__], values],
+                  [...this[__columns__], columnName]
+              );
+    }
+
+    // Give the bin of each row, from 0, or -1 outside of the edges.
+    _binIndexes(columnName, edges) {
+        const isIncreasing =
+            Array.isArray(edges) &&
+            edges.length > 1 &&
+            edges.every(
+                (edge, index) =>
+                    typeof edge === "number" &&
+                    !isNaN(edge) &&
+                    (index === 0 || edge > edges[index - 1])
+            );
+        if (!isIncreasing) {
+            throw new ArgumentTypeError(
+                edges,
+                "Array of at least 2 increasing Numbers"
+            );
+        }
+        const last = edges.length - 1;
+        return this._columnValues(columnName).map((value) => {
+            if (!isNumber(value)) return -1;
+            const number = Number(value);
+            if (number < edges[0] || number > edges[last]) return -1;
+            let [low, high] = [0, last];
+            while (low < high) {
+                const middle = (low + high + 1) >>> 1;
+                if (edges[middle] <= number) low = middle;
+                else high = middle - 1;
+            }
+            return Math.min(low, last - 1);
+        });
+    }
+
+    /**
+     * Add a column giving the bin of a numeric column values, to group or pivot them.
+     * Bins include their start and exclude their end, except the last one. Values outside of the edges
+     * and non-numerical values get undefined.
+     * @param {String} columnName The column to bin, containing Numbers.
+     * @param {Array} edges The increasing edges of the bins.
+     * @param {Array} [labels] The label of each bin (one less than the edges). By default, the bin interval as '[start, end)'.
+     * @param {String} [binColumnName=`${columnName}Bin`] The column created with the bins.
+     * @returns {DataFrame} A new DataFrame containing the bins column.
+     * @example
+     * df.cut('age', [0, 18, 65, 120])
+     * df.cut('age', [0, 18, 65, 120], ['child', 'adult', 'senior'], 'ageGroup').groupBy('ageGroup')
+     */
+    cut(columnName, edges, labels, binColumnName = `${columnName}Bin`) {
+        const binIndexes = this._binIndexes(columnName, edges);
+        const binLabels =
+            labels ||
+            range(edges.length - 1).map(
+                (index) =>
+                    `[${edges[index]}, ${edges[index + 1]}${
+                        index === edges.length - 2 ? "]" : ")"
+                    }`
+            );
+        if (
+            !Array.isArray(binLabels) ||
+            binLabels.length !== edges.length - 1
+        ) {
+            throw new ArgumentTypeError(
+                labels,
+                `Array of ${edges.length - 1} labels`
+            );
+        }
+        return this._withColumnValues(
+            binColumnName,
+            binIndexes.map((index) => binLabels[index])
         );
     }
 
+    /**
+     * Add a column giving the quantile bin of a numeric column values, so that bins have about the same number of rows.
+     * The edges are the quantiles of the column (by linear interpolation, as Stat.quantile()), duplicated edges being merged.
+     * Columns without at least 2 distinct edges (empty or constant columns) throw a QuantileBinsError.
+     * @param {String} columnName The column to bin, containing Numbers.
+     * @param {Number} nQuantiles The number of bins (4 for quartiles, 10 for deciles...).
+     * @param {Array} [labels] The label of each bin. By default, the bin interval as '[start, end)'.
+     * @param {String} [binColumnName=`${columnName}Bin`] The column created with the bins.
+     * @returns {DataFrame} A new DataFrame containing the bins column.
+     * @example
+     * df.qcut('income', 4)
+     * df.qcut('income', 4, ['Q1', 'Q2', 'Q3', 'Q4'], 'incomeQuartile').groupBy('incomeQuartile')
+     */
+    qcut(columnName, nQuantiles, labels, binColumnName = `${columnName}Bin`) {
+        if (!(Number.isInteger(nQuantiles) && nQuantiles > 0)) {
+            throw new ArgumentTypeError(nQuantiles, "positive Integer");
+        }
+        const edges = [
+            ...new Set(
+                new Stat(this).quantile(
+                    columnName,
+                    range(nQuantiles + 1).map((index) => index / nQuantiles)
+                )
+            )
+        ].filter((edge) => edge !== undefined);
+        if (edges.length < 2) {
+            throw new QuantileBinsError(columnName, edges.length);
+        }
+        return this.cut(columnName, edges, labels, binColumnName);
+    }
+
     /**
      * Modify the structure of the DataFrame by changing columns order, creating new columns or removing some columns.
      * @param {Array} newColumnNames The new columns of the DataFrame.
@@ -647,7 +1625,14 @@ class DataFrame {
      * df.restructure(['column1', 'newColumn', 'column4'])
      */
     restructure(newColumnNames) {
-        return this.__newInstance__(this[__rows__], newColumnNames);
+        return this.__fromColumns__(
+            newColumnNames.map((column) =>
+                this[__columns__].includes(column)
+                    ? this._columnValues(column)
+                    : Array(this[__count__]).fill(undefined)
+            ),
+            newColumnNames
+        );
     }
 
     /**
@@ -661,7 +1646,21 @@ class DataFrame {
         if (newColumnNames.length !== this[__columns__].length) {
             throw new WrongSchemaError(newColumnNames, this[__columns__]);
         }
-        return this.__newInstance__(this.toArray(), newColumnNames);
+        const renamedSchema = Object.assign(
+            {},
+            ...this[__columns__]
+                .filter((column) => this[__schema__][column])
+                .map((column) => ({
+                    [newColumnNames[this[__columns__].indexOf(column)]]: this[
+                        __schema__
+                    ][column]
+                }))
+        );
+        return this.__fromColumns__(
+            this[__data__],
+            newColumnNames,
+            renamedSchema
+        );
     }
 
     /**
@@ -690,14 +1689,12 @@ class DataFrame {
         if (typeFunctions.length !== this[__columns__].length) {
             throw new WrongSchemaError(typeFunctions, this[__columns__]);
         }
-        return this.map(
-            (row) =>
-                new Row(
-                    row
-                        .toArray()
-                        .map((column, index) => typeFunctions[index](column)),
-                    this[__columns__]
-                )
+        return this.__fromColumns__(
+            this[__data__].map((values, index) =>
+                values.map((value) => typeFunctions[index](value))
+            ),
+            this[__columns__],
+            {}
         );
     }
 
@@ -711,8 +1708,17 @@ class DataFrame {
      * df.cast('column1', (val) => new MyCustomClass(val))
      */
     cast(columnName, typeFunction) {
-        return this.withColumn(columnName, (row) =>
-            typeFunction(row.get(columnName))
+        const values = this._columnValues(columnName).map((value) =>
+            typeFunction(value)
+        );
+        return this.__fromColumns__(
+            this[__columns__].map((column, index) =>
+                column === columnName ? values : this[__data__][index]
+            ),
+            this[__columns__],
+            this._restrictSchema(
+                this[__columns__].filter((column) => column !== columnName)
+            )
         );
     }
 
@@ -724,8 +1730,8 @@ class DataFrame {
      * df.drop('column2')
      */
     drop(columnName) {
-        return this.__newInstance__(
-            this[__rows__].map((row) => row.delete(columnName)),
+        this._columnValues(columnName);
+        return this.restructure(
             this[__columns__].filter((column) => column !== columnName)
         );
     }
@@ -759,19 +1765,26 @@ class DataFrame {
      * df.filter({'column2': 5, 'column1': 3}))
      */
     filter(condition) {
-        const func =
-            typeof condition === "object"
-                ? (row) =>
-                      Object.entries(condition)
-                          .map(([column, value]) =>
-                              Object.is(row.get(column), value)
-                          )
-                          .reduce((p, n) => p && n)
-                : condition;
-        const filteredRows = iter(this[__rows__], (row, i) =>
-            func(row, i) ? row : false
-        );
-        return this.__newInstance__(filteredRows, this[__columns__]);
+        const filteredIndexes = [];
+        if (typeof condition === "object") {
+            const conditions = Object.entries(condition).map(
+                ([column, value]) => [this._columnValues(column), value]
+            );
+            for (let index = 0; index < this[__count__]; index++) {
+                if (
+                    conditions.every(([values, value]) =>
+                        Object.is(values[index], value)
+                    )
+                ) {
+                    filteredIndexes.push(index);
+                }
+            }
+        } else {
+            this._eachRow((row, index) => {
+                if (condition(row, index)) filteredIndexes.push(index);
+            });
+        }
+        return this.__subset__(filteredIndexes);
     }
 
     /**
@@ -873,14 +1886,17 @@ class DataFrame {
                 ? columnNames
                 : this[__columns__];
 
-        return this.filter((row) => {
-            for (const col of cols) {
-                if ([NaN, undefined, null].includes(row.get(col))) {
-                    return false;
+        const colsValues = cols.map((col) => this._columnValues(col));
+        return this.__subset__(
+            range(this[__count__]).filter((index) => {
+                for (const values of colsValues) {
+                    if ([NaN, undefined, null].includes(values[index])) {
+                        return false;
+                    }
                 }
-            }
-            return true;
-        });
+                return true;
+            })
+        );
     }
 
     /**
@@ -978,6 +1994,437 @@ class DataFrame {
         return groupBy(this, args);
     }
 
+    /**
+     * Summarize the DataFrame in a spreadsheet-like pivot table, with a row per group of index columns and a column per distinct value of the pivoted column.
+     * Several value columns and aggregations give a column per value column, aggregation and pivoted value, named aggregation_valueColumn_pivotedValue.
+     * @param {Object} options The pivot table definition.
+     * @param {String | Array} [options.index=[]] The columns grouping the rows.
+     * @param {String} options.columns The column whose distinct values become columns.
+     * @param {String | Array} [options.values=[]] The columns to aggregate. Without values, aggregations work on the DataFrame of each cell.
+     * @param {String | Function | Object} [options.aggfunc='count'] The aggregation: 'count', a reducer of GroupedDataFrame.agg() ('sum', 'mean'...), a function of the values (of the cell DataFrame without values), or an Object of them by name.
+     * @param [options.fillValue=undefined] The value of cells without any row.
+     * @param {Boolean} [options.margins=false] Add a column and a row giving the totals, aggregated from all the rows they cover.
+     * @param {String} [options.marginsName='All'] The name of the margins column and row.
+     * @returns {DataFrame} The pivot table.
+     * @example
+     * df.pivotTable({ index: 'region', columns: 'year', values: 'sales', aggfunc: 'sum', fillValue: 0, margins: true })
+     * df.pivotTable({ index: 'region', columns: 'year', values: ['sales', 'costs'], aggfunc: { total: 'sum', avg: 'mean' } })
+     */
+    pivotTable(options) {
+        return pivotTable(this, options);
+    }
+
+    /**
+     * Unpivot the DataFrame from a wide to a long format: each value column of a row gives a new row with its id columns, the column name and its value.
+     * Rows come by value column: all the rows of the first value column, then the rows of the next one...
+     * @param {Object} [options={}] The melt definition.
+     * @param {String | Array} [options.idColumns=[]] The columns identifying each row, repeated on each new row.
+     * @param {String | Array} [options.valueColumns] The columns to unpivot. All the other columns by default.
+     * @param {String} [options.variableName='variable'] The column containing the names of value columns.
+     * @param {String} [options.valueName='value'] The column containing the values.
+     * @returns {DataFrame} The long DataFrame, with the id columns, the variable and the value columns.
+     * @example
+     * df.melt({ idColumns: 'id', valueColumns: ['2020', '2021'], variableName: 'year', valueName: 'sales' })
+     */
+    melt({
+        idColumns = [],
+        valueColumns,
+        variableName = "variable",
+        valueName = "value"
+    } = {}) {
+        const ids = [].concat(idColumns);
+        const variables =
+            valueColumns !== undefined
+                ? [].concat(valueColumns)
+                : this[__columns__].filter((column) => !ids.includes(column));
+        const values = variables.map((column) => this._columnValues(column));
+        return this.__fromColumns__(
+            [
+                ...ids.map((column) =>
+                    [].concat(
+                        ...variables.map(() => this._columnValues(column))
+                    )
+                ),
+                [].concat(
+                    ...variables.map((column) =>
+                        Array(this[__count__]).fill(column)
+                    )
+                ),
+                [].concat(...values)
+            ],
+            [...ids, variableName, valueName],
+            this._restrictSchema(ids)
+        );
+    }
+
+    /**
+     * Pivot the DataFrame from a long to a wide format, as the reverse of DataFrame.melt(): each distinct variable becomes a column.
+     * Each id and variable must be unique, as no aggregation is done. Use DataFrame.pivotTable() to aggregate them.
+     * @param {Object} [options={}] The unmelt definition.
+     * @param {String | Array} [options.idColumns] The columns identifying each new row. All the columns but the variable and the value by default.
+     * @param {String} [options.variableName='variable'] The column containing the names of the new columns.
+     * @param {String} [options.valueName='value'] The column containing the values.
+     * @param [options.fillValue=undefined] The value of the ids without a variable.
+     * @returns {DataFrame} The wide DataFrame, with a row per id in order of appearance.
+     * @example
+     * df.unmelt({ idColumns: 'id', variableName: 'year', valueName: 'sales' })
+     */
+    unmelt({
+        idColumns,
+        variableName = "variable",
+        valueName = "value",
+        fillValue
+    } = {}) {
+        const ids =
+            idColumns !== undefined
+                ? [].concat(idColumns)
+                : this[__columns__].filter(
+                      (column) => ![variableName, valueName].includes(column)
+                  );
+        const [variables, values] = [
+            this._columnValues(variableName),
+            this._columnValues(valueName)
+        ];
+        const [rowByKey, firstIndexes, valuesByVariable] = [
+            new Map(),
+            [],
+            new Map()
+        ];
+        this._joinKeys(ids).forEach((key, index) => {
+            if (!rowByKey.has(key)) {
+                rowByKey.set(key, firstIndexes.length);
+                firstIndexes.push(index);
+            }
+            if (!valuesByVariable.has(variables[index])) {
+                valuesByVariable.set(variables[index], []);
+            }
+            const [row, variableValues] = [
+                rowByKey.get(key),
+                valuesByVariable.get(variables[index])
+            ];
+            if (row in variableValues) {
+                throw new DuplicateKeyError(key, variables[index]);
+            }
+            variableValues[row] = values[index];
+        });
+        return this.__fromColumns__(
+            [
+                ...ids.map((column) =>
+                    pick(this._columnValues(column), firstIndexes)
+                ),
+                ...[...valuesByVariable.values()].map((variableValues) =>
+                    range(firstIndexes.length).map((row) =>
+                        row in variableValues ? variableValues[row] : fillValue
+                    )
+                )
+            ],
+            [...ids, ...valuesByVariable.keys()],
+            this._restrictSchema(ids)
+        );
+    }
+
+    /**
+     * Pivot the DataFrame from a long to a wide format.
+     * Alias from .unmelt()
+     * @param {Object} [options={}] The unmelt definition.
+     * @returns {DataFrame} The wide DataFrame.
+     * @example
+     * df.pivotWider({ idColumns: 'id', variableName: 'year', valueName: 'sales' })
+     */
+    pivotWider(options) {
+        return this.unmelt(options);
+    }
+
+    /**
+     * Explode a column containing Arrays, giving a row per Array element. Other values are kept as they are.
+     * @param {String} columnName The column to explode.
+     * @param {Object} [options={}] The explode options.
+     * @param {Boolean} [options.keepEmpty=false] Keep rows with an empty Array, with an undefined value, instead of dropping them.
+     * @returns {DataFrame} A new DataFrame with a row per element, the other columns being repeated.
+     * @example
+     * df.explode('tags')
+     * df.explode('items', { keepEmpty: true })
+     */
+    explode(columnName, { keepEmpty = false } = {}) {
+        const [indexes, values] = [[], []];
+        this._columnValues(columnName).forEach((value, index) => {
+            if (!Array.isArray(value)) {
+                indexes.push(index);
+                values.push(value);
+                return;
+            }
+            if (value.length === 0 && keepEmpty) {
+                indexes.push(index);
+                values.push(undefined);
+            }
+            value.forEach((element) => {
+                indexes.push(index);
+                values.push(element);
+            });
+        });
+        return this.__subset__(indexes)._withColumnValues(columnName, values);
+    }
+
+    /**
+     * Nest the rows of each group into a single cell, giving collections as read from JSON. DataFrame.explode() unnests them.
+     * @param {String | Array} by The columns used for the groupBy.
+     * @param {String} [into='data'] The column containing the nested rows.
+     * @param {Boolean} [asDataFrame=false] Nest the rows as DataFrames instead of collections (Arrays of Objects).
+     * @returns {DataFrame} A new DataFrame with a row per group, the groupBy columns and the nested rows of the other columns.
+     * @example
+     * df.nest('orderId', 'items')
+     * df.nest(['country', 'city'], 'people', true)
+     */
+    nest(by, into = "data", asDataFrame = false) {
+        const on = [].concat(by);
+        const nestedColumns = this[__columns__].filter(
+            (column) => !on.includes(column)
+        );
+        return this.groupBy(...on).agg({
+            [into]: (group) => {
+                const nested = group.select(...nestedColumns);
+                return asDataFrame ? nested : nested.toCollection();
+            }
+        });
+    }
+
+    /**
+     * Flatten columns containing Objects: each key becomes a column named column.key, nested Objects giving column.key.subKey...
+     * Other values (Arrays, Dates, null...) are kept as they are, in their own column, and undefined values are dropped.
+     * Flattened columns can't take the name of another column: a ColumnCollisionError is thrown.
+     * @param {String | Array} [columnNames] The columns to flatten. All the columns by default.
+     * @param {Object} [options={}] The flatten options.
+     * @param {String} [options.separator='.'] The separator between the keys in column names.
+     * @param {Number} [options.maxDepth=Infinity] The number of levels of Objects to flatten.
+     * @returns {DataFrame} A new DataFrame with the flattened columns in place of the original ones.
+     * @example
+     * df.flatten('address').select('address.city')
+     * df.flatten(['address', 'company'], { separator: '_', maxDepth: 1 })
+     */
+    flatten(
+        columnNames = this[__columns__],
+        { separator = ".", maxDepth = Infinity } = {}
+    ) {
+        const toFlatten = [].concat(columnNames);
+        toFlatten.forEach((column) => this._columnValues(column));
+        const [data, columns, keysByColumn] = [[], [], new Map()];
+        const claimColumn = (column, keys) => {
+            const keysId = JSON.stringify(keys);
+            if (
+                keysByColumn.has(column) &&
+                keysByColumn.get(column) !== keysId
+            ) {
+                throw new ColumnCollisionError(
+                    [column],
+                    "given by several columns. Use another separator to keep them all"
+                );
+            }
+            keysByColumn.set(column, keysId);
+        };
+        this[__columns__].forEach((column, columnIndex) => {
+            if (!toFlatten.includes(column)) {
+                claimColumn(column, []);
+                data.push(this[__data__][columnIndex]);
+                columns.push(column);
+                return;
+            }
+            const valuesByPath = new Map();
+            const walk = (value, keys, depth, index) => {
+                if (value === undefined) return;
+                if (isPlainObject(value) && depth < maxDepth) {
+                    Object.entries(value).forEach(([key, subValue]) =>
+                        walk(subValue, [...keys, key], depth + 1, index)
+                    );
+                    return;
+                }
+                // Null values keep their own column for unflatten().
+                const path = [column, ...keys].join(separator);
+                claimColumn(path, [column, ...keys]);
+                if (!valuesByPath.has(path)) {
+                    valuesByPath.set(path, Array(this[__count__]));
+                }
+                valuesByPath.get(path)[index] = value;
+            };
+            this[__data__][columnIndex].forEach((value, index) =>
+                walk(value, [], 0, index)
+            );
+            // A column holding undefined values only is kept as it is.
+            if (valuesByPath.size === 0) {
+                claimColumn(column, [column]);
+                valuesByPath.set(column, this[__data__][columnIndex]);
+            }
+            data.push(...valuesByPath.values());
+            columns.push(...valuesByPath.keys());
+        });
+        return this.__fromColumns__(data, columns);
+    }
+
+    /**
+     * Unflatten columns named with a separator into columns of Objects, as the reverse of DataFrame.flatten(), before a JSON export.
+     * Undefined values are dropped from the Objects, and rows without any value give undefined.
+     * @param {Object} [options={}] The unflatten options.
+     * @param {String} [options.separator='.'] The separator between the keys in column names.
+     * @returns {DataFrame} A new DataFrame with a column of Objects by first key, in place of its first flattened column.
+     * @example
+     * df.unflatten().toJSON(true)
+     */
+    unflatten({ separator = "." } = {}) {
+        const roots = new Set(
+            this[__columns__]
+                .filter((column) => column.includes(separator))
+                .map((column) => column.split(separator)[0])
+        );
+        const [data, columns, nestedByRoot, rootValues] = [
+            [],
+            [],
+            new Map(),
+            []
+        ];
+        this[__columns__].forEach((column, columnIndex) => {
+            const [root, ...keys] = column.split(separator);
+            if (!roots.has(root)) {
+                data.push(this[__data__][columnIndex]);
+                columns.push(column);
+                return;
+            }
+            if (!nestedByRoot.has(root)) {
+                nestedByRoot.set(root, Array(this[__count__]));
+                data.push(nestedByRoot.get(root));
+                columns.push(root);
+            }
+            const nested = nestedByRoot.get(root);
+            this[__data__][columnIndex].forEach((value, index) => {
+                if (value === undefined) return;
+                if (keys.length === 0) {
+                    rootValues.push([nested, index, value]);
+                    return;
+                }
+                if (!isPlainObject(nested[index])) nested[index] = {};
+                keys.slice(0, -1).reduce((node, key) => {
+                    if (!isPlainObject(node[key])) node[key] = {};
+                    return node[key];
+                }, nested[index])[keys[keys.length - 1]] = value;
+            });
+        });
+        // A column named as a root only fills the rows without any key.
+        rootValues.forEach(([nested, index, value]) => {
+            if (nested[index] === undefined) nested[index] = value;
+        });
+        return this.__fromColumns__(
+            data,
+            columns,
+            this._restrictSchema(columns.filter((column) => !roots.has(column)))
+        );
+    }
+
+    /**
+     * Group DataFrame rows by several sets of columns giving a GroupingSets object, to aggregate with subtotals (as SQL GROUPING SETS).
+     * Aggregations give a column grouping flagging the columns which are not used by the set of each row.
+     * @param {Array} sets The grouping sets, as Arrays of columns. An empty Array groups all the rows.
+     * @returns {GroupingSets} A GroupingSets object.
+     * @example
+     * df.groupingSets([['column1', 'column2'], ['column1'], []]).aggregate((group) => group.count())
+     * df.groupingSets([['column1'], ['column2']]).agg({ total: ['column3', 'sum'] })
+     */
+    groupingSets(sets) {
+        return groupingSets(this, sets);
+    }
+
+    /**
+     * Group DataFrame rows by columns with subtotals of their prefixes and a grand total (as SQL ROLLUP), giving a GroupingSets object.
+     * @param {...String} columnNames The columns used for the groupBy, from the most general.
+     * @returns {GroupingSets} A GroupingSets object grouping by [column1, column2, ...], ..., [column1] and [].
+     * @example
+     * df.rollup('year', 'month').agg({ total: ['amount', 'sum'] })
+     */
+    rollup(...columnNames) {
+        return groupingSets(
+            this,
+            range(columnNames.length + 1).map((index) =>
+                columnNames.slice(0, columnNames.length - index)
+            )
+        );
+    }
+
+    /**
+     * Group DataFrame rows by all the combinations of columns (as SQL CUBE), giving a GroupingSets object.
+     * @param {...String} columnNames The columns used for the groupBy.
+     * @returns {GroupingSets} A GroupingSets object grouping by each subset of the columns, ordered by grouping indicator.
+     * @example
+     * df.cube('country', 'product').agg({ total: ['amount', 'sum'] })
+     */
+    cube(...columnNames) {
+        const size = columnNames.length;
+        return groupingSets(
+            this,
+            range(Math.pow(2, size)).map((grouping) =>
+                columnNames.filter(
+                    (column, index) => !(grouping & (1 << (size - 1 - index)))
+                )
+            )
+        );
+    }
+
+    /**
+     * Split the DataFrame into ordered partitions giving a WindowedDataFrame object, to compute columns from
+     * neighbouring rows (lag, lead, ranks, cumulative sums...). See its doc for more examples.
+     * @param {Object} [options={}] The window definition.
+     * @param {String | Array} [options.partitionBy=[]] The columns splitting the DataFrame into partitions (with .groupBy()).
+     * @param {String | Array} [options.orderBy=[]] The columns ordering each partition (with .sortBy()).
+     * @param {Boolean} [options.reverse=false] Reverse the partitions order.
+     * @returns {WindowedDataFrame} A WindowedDataFrame object.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'}).withColumn('previousPrice', w => w.lag('price'))
+     * df.window({orderBy: 'date'}).withColumn('total', w => w.cumSum('amount'))
+     */
+    window(options = {}) {
+        return window(this, options);
+    }
+
+    /**
+     * Move a window of rows over a column, to compute moving means, sums... with incremental updates.
+     * Windows end on their row (or are centered on it), following the DataFrame order: sort it before if needed.
+     * @param {String} columnName The column to read.
+     * @param {Number} windowSize The number of rows in each window.
+     * @param {Object} [options={}] Additional options. minPeriods: the minimal number of values in a window (the window size by default),
+     * center: center the windows on their row.
+     * @returns {Rolling} A Rolling object providing mean, sum, min, max, sd, var and apply, each giving one value per row.
+     * @example
+     * df.rolling('price', 7).mean()
+     * df.rolling('price', 3, { minPeriods: 1, center: true }).max()
+     */
+    rolling(columnName, windowSize, options = {}) {
+        return this.window().rolling(columnName, windowSize, options);
+    }
+
+    /**
+     * Expand a window from the first row over a column, to compute cumulative means, sums... with incremental updates.
+     * @param {String} columnName The column to read.
+     * @param {Object} [options={}] Additional options. minPeriods: the minimal number of values in a window (1 by default).
+     * @returns {Rolling} A Rolling object providing mean, sum, min, max, sd, var and apply, each giving one value per row.
+     * @example
+     * df.expanding('price').mean()
+     * df.expanding('price', { minPeriods: 3 }).sd()
+     */
+    expanding(columnName, options = {}) {
+        return this.window().expanding(columnName, options);
+    }
+
+    /**
+     * Start a lazy query giving a LazyFrame object. See its doc for more examples.
+     * Operations are recorded into a plan, optimized and executed only on .collect().
+     * @returns {LazyFrame} A LazyFrame reading the DataFrame.
+     * @example
+     * df.lazy()
+     *      .filter(row => row.get('column1') > 3, ['column1'])
+     *      .select('column1', 'column2')
+     *      .collect()
+     * df.lazy().join(df2, 'id').filter({'column1': 3}).explain()
+     */
+    lazy() {
+        return lazy(this);
+    }
+
     /**
      * Sort DataFrame rows based on column values. The row should contains only one variable type. Columns are sorted left-to-right.
      * @param {String | Array<string>} columnNames The columns giving order.
@@ -990,6 +2437,12 @@ class DataFrame {
      * df.sortBy(['id1'], true)
      */
     sortBy(columnNames, reverse = false, missingValuesPosition = "first") {
+        return this.__subset__(
+            this._sortedIndexes(columnNames, reverse, missingValuesPosition)
+        );
+    }
+
+    _sortedIndexes(columnNames, reverse, missingValuesPosition) {
         if (!Array.isArray(columnNames)) {
             columnNames = [columnNames];
         }
@@ -1002,57 +2455,60 @@ class DataFrame {
 
         const _checkMissingValue = (v) => [NaN, null, undefined].includes(v);
 
-        const sortedRows = this[__rows__].sort((p, n) => {
-            return _columnNames
-                .map((col) => {
-                    const [pValue, nValue] = [p.get(col), n.get(col)];
-                    if (_checkMissingValue(pValue)) {
-                        return _missingValuesPosition === "last" ? 1 : -1;
-                    } else if (_checkMissingValue(nValue)) {
-                        return _missingValuesPosition === "last" ? -1 : 1;
-                    } else if (typeof pValue !== typeof nValue) {
-                        throw new MixedTypeError([
-                            typeof pValue,
-                            typeof nValue
-                        ]);
-                    } else if (pValue > nValue) {
-                        return reverse ? -1 : 1;
-                    } else if (pValue < nValue) {
-                        return reverse ? 1 : -1;
-                    }
-                    return 0;
-                })
-                .reduce((acc, curr) => {
-                    return acc || curr;
-                });
-        });
+        const columnsValues = _columnNames.map((col) =>
+            this._columnValues(col)
+        );
+
+        const sortedIndexes = range(this[__count__]).sort(
+            (p, n) => {
+                return columnsValues
+                    .map((values) => {
+                        const [pValue, nValue] = [values[p], values[n]];
+                        if (_checkMissingValue(pValue)) {
+                            return _missingValuesPosition === "last" ? 1 : -1;
+                        } else if (_checkMissingValue(nValue)) {
+                            return _missingValuesPosition === "last" ? -1 : 1;
+                        } else if (typeof pValue !== typeof nValue) {
+                            throw new MixedTypeError([
+                                typeof pValue,
+                                typeof nValue
+                            ]);
+                        } else if (pValue > nValue) {
+                            return reverse ? -1 : 1;
+                        } else if (pValue < nValue) {
+                            return reverse ? 1 : -1;
+                        }
+                        return 0;
+                    })
+                    .reduce((acc, curr) => {
+                        return acc || curr;
+                    });
+            }
+        );
 
         if (_columnNames.length > 1) {
-            const sortedRowsWithMissingValues = [];
-            const sortedRowsWithoutMissingValues = [];
-            sortedRows.forEach((row) => {
-                for (const col of _columnNames) {
-                    if (_checkMissingValue(row.get(col))) {
-                        sortedRowsWithMissingValues.push(row);
+            const sortedIndexesWithMissingValues = [];
+            const sortedIndexesWithoutMissingValues = [];
+            sortedIndexes.forEach((index) => {
+                for (const values of columnsValues) {
+                    if (_checkMissingValue(values[index])) {
+                        sortedIndexesWithMissingValues.push(index);
                         return;
                     }
                 }
-                sortedRowsWithoutMissingValues.push(row);
+                sortedIndexesWithoutMissingValues.push(index);
             });
 
-            return this.__newInstance__(
-                missingValuesPosition === "last"
-                    ? sortedRowsWithoutMissingValues.concat(
-                          sortedRowsWithMissingValues
-                      )
-                    : sortedRowsWithMissingValues.concat(
-                          sortedRowsWithoutMissingValues
-                      ),
-                this[__columns__]
-            );
+            return missingValuesPosition === "last"
+                ? sortedIndexesWithoutMissingValues.concat(
+                      sortedIndexesWithMissingValues
+                  )
+                : sortedIndexesWithMissingValues.concat(
+                      sortedIndexesWithoutMissingValues
+                  );
         }
 
-        return this.__newInstance__(sortedRows, this[__columns__]);
+        return sortedIndexes;
     }
 
     /**
@@ -1071,28 +2527,41 @@ class DataFrame {
                 this[__columns__]
             );
         }
-        return this.__newInstance__(
-            [...this, ...dfToUnion.restructure(this[__columns__])],
+        const restructuredDF = dfToUnion.restructure(this[__columns__]);
+        return this.__fromColumns__(
+            this[__data__].map((values, index) =>
+                values.concat(restructuredDF[__data__][index])
+            ),
             this[__columns__]
         );
     }
 
     /**
      * Join two DataFrames.
+     * Rows are matched through a hash table: duplicated rows are kept, and rows come in the left DataFrame order
+     * (the right one for right joins), followed by unmatched rows of the joined DataFrame for full joins.
+     * Columns present in both DataFrames but not used for the join keep the left values, unless suffixes are given.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
-     * @param {String} [how='inner'] The join mode. Can be: full, inner, outer, left, right.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {String} [how='inner'] The join mode. Can be: full, inner, outer, left, right, semi, anti, cross (ignoring columnNames).
+     * @param {Object} [options={}] Additional options. maxRows for cross joins (see .crossJoin()), suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df.join(df2, 'column1', 'full')
+     * df.join(df2, 'column1', 'inner', { suffixes: ['_x', '_y'] })
+     * df.join(df2, 'column1', 'inner', { raiseOnCollision: true })
+     * df.join(df2, { left: ['user_id'], right: ['id'] }, 'left')
      */
-    join(dfToJoin, columnNames, how = "inner") {
+    join(dfToJoin, columnNames, how = "inner", options = {}) {
         const joinMethods = {
-            inner: () => this.innerJoin(dfToJoin, columnNames),
-            full: () => this.fullJoin(dfToJoin, columnNames),
-            outer: () => this.outerJoin(dfToJoin, columnNames),
-            left: () => this.leftJoin(dfToJoin, columnNames),
-            right: () => this.rightJoin(dfToJoin, columnNames)
+            inner: () => this.innerJoin(dfToJoin, columnNames, options),
+            full: () => this.fullJoin(dfToJoin, columnNames, options),
+            outer: () => this.outerJoin(dfToJoin, columnNames, options),
+            left: () => this.leftJoin(dfToJoin, columnNames, options),
+            right: () => this.rightJoin(dfToJoin, columnNames, options),
+            semi: () => this.semiJoin(dfToJoin, columnNames),
+            anti: () => this.antiJoin(dfToJoin, columnNames),
+            cross: () => this.crossJoin(dfToJoin, options)
         };
         return joinMethods[how]();
     }
@@ -1100,79 +2569,265 @@ class DataFrame {
     /**
      * Join two DataFrames with inner mode.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options. suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df.innerJoin(df2, 'id')
+     * df.innerJoin(df2, 'id', { suffixes: ['_x', '_y'] })
+     * df.innerJoin(df2, { left: 'user_id', right: 'id' })
      * df.join(df2, 'id')
      * df.join(df2, 'id', 'inner')
      */
-    innerJoin(dfToJoin, columnNames) {
-        return this._join(dfToJoin, columnNames, ["in"]);
+    innerJoin(dfToJoin, columnNames, options = {}) {
+        return this._join(dfToJoin, columnNames, "inner", options);
     }
 
     /**
      * Join two DataFrames with full mode.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options. suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df.fullJoin(df2, 'id')
+     * df.fullJoin(df2, 'id', { suffixes: ['_x', '_y'] })
      * df.join(df2, 'id', 'full')
      */
-    fullJoin(dfToJoin, columnNames) {
-        return this._join(dfToJoin, columnNames, ["full", "full"]);
+    fullJoin(dfToJoin, columnNames, options = {}) {
+        return this._join(dfToJoin, columnNames, "full", options);
     }
 
     /**
      * Join two DataFrames with outer mode.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options. suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df2.outerJoin(df2, 'id')
+     * df2.outerJoin(df2, 'id', { suffixes: ['_x', '_y'] })
      * df2.join(df2, 'id', 'outer')
      */
-    outerJoin(dfToJoin, columnNames) {
-        return this.fullJoin(dfToJoin, columnNames);
+    outerJoin(dfToJoin, columnNames, options = {}) {
+        return this.fullJoin(dfToJoin, columnNames, options);
     }
 
     /**
      * Join two DataFrames with left mode.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options. suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df.leftJoin(df2, 'id')
+     * df.leftJoin(df2, 'id', { raiseOnCollision: true })
      * df.join(df2, 'id', 'left')
      */
-    leftJoin(dfToJoin, columnNames) {
-        return this._join(dfToJoin, columnNames, ["full", "in"]);
+    leftJoin(dfToJoin, columnNames, options = {}) {
+        return this._join(dfToJoin, columnNames, "left", options);
     }
 
     /**
      * Join two DataFrames with right mode.
      * @param {DataFrame} dfToJoin The DataFrame to join.
-     * @param {String | Array} columnNames The selected columns for the join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options. suffixes: an Array of 2 suffixes added to the columns present in both DataFrames (left then right), raiseOnCollision: throw a ColumnCollisionError if both DataFrames share columns other than the join ones.
      * @returns {DataFrame} The joined DataFrame.
      * @example
      * df.rightJoin(df2, 'id')
+     * df.rightJoin(df2, 'id', { suffixes: ['_x', '_y'] })
      * df.join(df2, 'id', 'right')
      */
-    rightJoin(dfToJoin, columnNames) {
-        return this._join(dfToJoin, columnNames, ["in", "full"]);
+    rightJoin(dfToJoin, columnNames, options = {}) {
+        return this._join(dfToJoin, columnNames, "right", options);
+    }
+
+    /**
+     * Keep the rows having a match in another DataFrame (semi join).
+     * Only the DataFrame columns are kept, and each row appears once whatever its number of matches.
+     * @param {DataFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @returns {DataFrame} The DataFrame rows having a match.
+     * @example
+     * df.semiJoin(df2, 'id')
+     * df.join(df2, 'id', 'semi')
+     */
+    semiJoin(dfToJoin, columnNames) {
+        return this._filterJoin(dfToJoin, columnNames, true);
+    }
+
+    /**
+     * Keep the rows without match in another DataFrame (anti join). Only the DataFrame columns are kept.
+     * @param {DataFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @returns {DataFrame} The DataFrame rows without match.
+     * @example
+     * df.antiJoin(df2, 'id')
+     * df.join(df2, 'id', 'anti')
+     */
+    antiJoin(dfToJoin, columnNames) {
+        return this._filterJoin(dfToJoin, columnNames, false);
+    }
+
+    /**
+     * Combine each row with each row of another DataFrame (cartesian product).
+     * @param {DataFrame} dfToJoin The DataFrame to join.
+     * @param {Object} [options={}] Additional options. maxRows: throw a TooManyRowsError instead of creating more rows, suffixes and raiseOnCollision: as for .join().
+     * @returns {DataFrame} The joined DataFrame.
+     * @example
+     * df.crossJoin(df2)
+     * df.crossJoin(df2, { maxRows: 1000000 })
+     * df.join(df2, [], 'cross')
+     */
+    crossJoin(dfToJoin, options = {}) {
+        if (!(dfToJoin instanceof DataFrame))
+            throw new ArgumentTypeError(dfToJoin, "DataFrame");
+        const rowsCount = this[__count__] * dfToJoin[__count__];
+        if (options.maxRows !== undefined && rowsCount > options.maxRows) {
+            throw new TooManyRowsError(rowsCount, options.maxRows);
+        }
+        const [indexes, indexesToJoin] = [[], []];
+        const indexesOfDfToJoin = range(dfToJoin[__count__]);
+        for (let index = 0; index < this[__count__]; index++) {
+            for (const indexToJoin of indexesOfDfToJoin) {
+                indexes.push(index);
+                indexesToJoin.push(indexToJoin);
+            }
+        }
+        return this._joinRows(
+            dfToJoin,
+            [[], []],
+            [indexes, indexesToJoin],
+            options
+        );
+    }
+
+    /**
+     * Join two DataFrames on a condition between their rows (non-equi join).
+     * A condition function is tested on each pair of rows. A range condition {left, right} matches the rows
+     * whose column value is between the start and end columns of the other DataFrame (bounds included),
+     * by sorting the values instead of testing each pair.
+     * Rows come in the left DataFrame order (the right one for right joins), as for .join().
+     * All columns are kept: columns present in both DataFrames keep the left values, unless suffixes are given.
+     * @param {DataFrame} dfToJoin The DataFrame to join.
+     * @param {Function | Object} condition A function (row, rowToJoin) => Boolean, or {left: column, right: [start, end]} (or the reverse) for range conditions.
+     * @param {String} [how='inner'] The join mode. Can be: full, inner, outer, left, right, semi, anti.
+     * @param {Object} [options={}] Additional options. suffixes and raiseOnCollision: as for .join().
+     * @returns {DataFrame} The joined DataFrame.
+     * @example
+     * df.joinWhere(df2, (row, row2) => row.get('price') < row2.get('budget'))
+     * df.joinWhere(windows, { left: 'ts', right: ['start', 'end'] }, 'left')
+     * windows.joinWhere(events, { left: ['start', 'end'], right: 'ts' }, 'semi')
+     */
+    joinWhere(dfToJoin, condition, how = "inner", options = {}) {
+        if (!(dfToJoin instanceof DataFrame))
+            throw new ArgumentTypeError(dfToJoin, "DataFrame");
+        if (["semi", "anti"].includes(how)) {
+            const indexes = [];
+            const keepMatched = how === "semi";
+            this._whereMatches(dfToJoin, condition).forEach(
+                (matches, index) => {
+                    if (matches.length > 0 === keepMatched) indexes.push(index);
+                }
+            );
+            return this.__subset__(indexes);
+        }
+        const swappedCondition =
+            typeof condition === "function"
+                ? (rowToJoin, row) => condition(row, rowToJoin)
+                : condition && {
+                      left: condition.right,
+                      right: condition.left
+                  };
+        const joinIndexes = {
+            inner: () =>
+                this._whereJoinIndexes(dfToJoin, condition, false, false),
+            left: () =>
+                this._whereJoinIndexes(dfToJoin, condition, true, false),
+            right: () =>
+                dfToJoin
+                    ._whereJoinIndexes(this, swappedCondition, true, false)
+                    .reverse(),
+            full: () => this._whereJoinIndexes(dfToJoin, condition, true, true)
+        };
+        joinIndexes.outer = joinIndexes.full;
+        if (!joinIndexes[how]) {
+            throw new ArgumentTypeError(
+                how,
+                "full | inner | outer | left | right | semi | anti"
+            );
+        }
+        return this._joinRows(dfToJoin, [[], []], joinIndexes[how](), options);
+    }
+
+    /**
+     * Join each row with the row of another DataFrame having the closest key (as-of join), as for time series.
+     * dfToJoin is sorted by its key with .sortBy(), then each row is matched with the last row whose key is
+     * lower or equal (backward), the first one greater or equal (forward), or the closest one (nearest, backward on ties).
+     * All the rows are kept in the DataFrame order, with missing values when there is no match.
+     * Key and by columns are merged as for .join(), except keys named differently which are both kept.
+     * @param {DataFrame} dfToJoin The DataFrame to join.
+     * @param {Object} options The join options.
+     * @param {String | Object} options.on The key column, or {left, right} columns when they are named differently.
+     * @param {String | Array | Object} [options.by] Columns which have to be equal, or {left, right} columns when they are named differently.
+     * @param {String} [options.direction='backward'] The matched row. Can be: backward, forward, nearest.
+     * @param {Number} [options.tolerance] The maximum distance between matched keys (in milliseconds for dates).
+     * @param {Array} [options.suffixes] An Array of 2 suffixes added to the columns present in both DataFrames (left then right).
+     * @param {Boolean} [options.raiseOnCollision=false] Throw a ColumnCollisionError if both DataFrames share columns other than the by ones.
+     * @returns {DataFrame} The joined DataFrame.
+     * @example
+     * trades.asofJoin(quotes, { on: 'time', by: 'ticker' })
+     * trades.asofJoin(quotes, { on: { left: 'time', right: 'quoteTime' }, direction: 'nearest', tolerance: 1000 })
+     */
+    asofJoin(
+        dfToJoin,
+        { on, by = [], direction = "backward", tolerance, ...options } = {}
+    ) {
+        if (!(dfToJoin instanceof DataFrame))
+            throw new ArgumentTypeError(dfToJoin, "DataFrame");
+        if (!on) throw new ArgumentTypeError(on, "String | {left, right}");
+        if (!["backward", "forward", "nearest"].includes(direction)) {
+            throw new ArgumentTypeError(
+                direction,
+                "backward | forward | nearest"
+            );
+        }
+        const [[key], [keyToJoin]] = this._joinOn(on);
+        const byKeys = this._joinOn(by);
+        const sortedDfToJoin = dfToJoin.sortBy(keyToJoin, false, "last");
+        // Keys named differently are both kept, as they don't share values.
+        const keys =
+            key === keyToJoin
+                ? [
+                      [...byKeys[0], key],
+                      [...byKeys[1], keyToJoin]
+                  ]
+                : byKeys;
+        return this._joinRows(
+            sortedDfToJoin,
+            keys,
+            this._asofJoinIndexes(
+                sortedDfToJoin,
+                [key, keyToJoin],
+                byKeys,
+                direction,
+                tolerance
+            ),
+            options
+        );
     }
 
     /**
      * Find the differences between two DataFrames (reverse of join).
      * @param {DataFrame} dfToDiff The DataFrame to diff.
-     * @param {String | Array} columnNames The selected columns for the diff.
+     * @param {String | Array | Object} columnNames The selected columns for the diff, or {left, right} columns when they are named differently.
      * @returns {DataFrame} The differences DataFrame.
      * @example
      * df2.diff(df2, 'id')
      */
     diff(dfToDiff, columnNames) {
-        return this._join(dfToDiff, columnNames, ["out", "out"]);
+        return this._join(dfToDiff, columnNames, "diff");
     }
 
     /**
@@ -1211,12 +2866,18 @@ class DataFrame {
      * df2.slice(10, 30)
      */
     slice(startIndex, endIndex) {
-        return this.__newInstance__(
-            this[__rows__].slice(
-                startIndex || undefined,
-                endIndex || undefined
-            ),
-            this[__columns__]
+        const count = this[__count__];
+        const bound = (position, defaultPosition) =>
+            !position
+                ? defaultPosition
+                : position < 0
+                ? Math.max(count + position, 0)
+                : Math.min(position, count);
+        const [start, end] = [bound(startIndex, 0), bound(endIndex, count)];
+        return this._subsetBy(
+            (values) => values.slice(start, end),
+            Math.max(end - start, 0),
+            true
         );
     }
 
@@ -1228,7 +2889,12 @@ class DataFrame {
      * df2.getRow(1)
      */
     getRow(index) {
-        return this[__rows__][index];
+        if (this[__rowsView__]) {
+            return this[__rowsView__][index];
+        }
+        return index >= 0 && index < this[__count__]
+            ? this._rowAt(index)
+            : undefined;
     }
 
     /**
@@ -1253,7 +2919,22 @@ class DataFrame {
      * df2.setRowByIndex(1, row => row.set("column1", 33))
      */
     setRowInPlace(index, func = (row) => row) {
-        this[__rows__][index] = func(this[__rows__][index]);
+        const newRow = func(this.getRow(index));
+        const [newColumnsData] = this._fromArray([newRow], this[__columns__]);
+        // Column arrays can be shared with other DataFrames: copy them once
+        // before writing, then keep writing in the copies this DataFrame owns.
+        if (!this[__ownedColumns__]) this[__ownedColumns__] = new Set();
+        const ownedColumns = this[__ownedColumns__];
+        this[__data__] = this[__data__].map((values, columnIndex) => {
+            const newValues = ownedColumns.has(values) ? values : [...values];
+            ownedColumns.add(newValues);
+            newValues[index] = newColumnsData[columnIndex][0];
+            return newValues;
+        });
+        if (this[__rowsView__]) {
+            this[__rowsView__][index] = newRow;
+        }
+        this[__indexTable__] = undefined;
         return this;
     }
 }
@@ -17,6 +17,28 @@ export class MixedTypeError extends TypeError {
     }
 }
 
+export class ColumnTypeError extends TypeError {
+    constructor(column, value, expected) {
+        super(TypeError);
+        this.message = `${column} contains ${
+            value && value.constructor ? value.constructor.name : typeof value
+        } value ${String(value)} while expecting ${expected}.`;
+        this.name = "ColumnTypeError";
+    }
+}
+
+export class CastError extends TypeError {
+    constructor(column, rowIndex, value, type) {
+        super(TypeError);
+        this.message = `${column} contains value ${String(
+            value
+        )} at row ${rowIndex} which can't be cast into ${type}.`;
+        this.name = "CastError";
+        this.column = column;
+        this.rowIndex = rowIndex;
+    }
+}
+
 export class NoSuchColumnError extends Error {
     constructor(column, columns) {
         super(Error);
@@ -25,6 +47,25 @@ export class NoSuchColumnError extends Error {
     }
 }
 
+export class ColumnCollisionError extends Error {
+    constructor(
+        columns,
+        reason = "found in both joined DataFrames. Use suffixes to keep both"
+    ) {
+        super(Error);
+        this.message = `[${columns.join(", ")}] ${reason}.`;
+        this.name = "ColumnCollisionError";
+    }
+}
+
+export class TooManyRowsError extends RangeError {
+    constructor(rowsCount, maxRows) {
+        super(RangeError);
+        this.message = `${rowsCount} rows while expecting at most ${maxRows}.`;
+        this.name = "TooManyRowsError";
+    }
+}
+
 export class WrongSchemaError extends Error {
     constructor(columns, expected) {
         super(Error);
@@ -44,6 +85,39 @@ export class ArgumentTypeError extends TypeError {
     }
 }
 
+export class JSONLineParseError extends SyntaxError {
+    constructor(lineNumber, message) {
+        super(SyntaxError);
+        this.message = `Malformed JSON record at line ${lineNumber}: ${message}.`;
+        this.name = "JSONLineParseError";
+        this.lineNumber = lineNumber;
+    }
+}
+
+export class DuplicateKeyError extends Error {
+    constructor(key, column) {
+        super(Error);
+        this.message = `${key} found several times for ${column}.`;
+        this.name = "DuplicateKeyError";
+    }
+}
+
+export class NoIndexError extends Error {
+    constructor() {
+        super(Error);
+        this.message = "No index found. Use setIndex() to look up rows by label.";
+        this.name = "NoIndexError";
+    }
+}
+
+export class QuantileBinsError extends RangeError {
+    constructor(column, edgesCount) {
+        super(RangeError);
+        this.message = `${column} gives ${edgesCount} distinct quantile edges while expecting at least 2 to make bins.`;
+        this.name = "QuantileBinsError";
+    }
+}
+
 export class SQLParseError extends Error {
     constructor(message) {
         super(Error);
@@ -52,6 +126,14 @@ export class SQLParseError extends Error {
     }
 }
 
+export class LazyPlanError extends Error {
+    constructor(message) {
+        super(Error);
+        this.message = `${message}.`;
+        this.name = "LazyPlanError";
+    }
+}
+
 export class TableAlreadyExistsError extends Error {
     constructor(tableName) {
         super(Error);
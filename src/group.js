@@ -1,4 +1,54 @@
 import { __groups__, __hashes__ } from "./symbol";
+import { ArgumentTypeError } from "./errors";
+import Stat from "./modules/stat";
+
+const STAT_REDUCERS = [
+    "sum",
+    "mean",
+    "min",
+    "max",
+    "var",
+    "sd",
+    "median",
+    "mode",
+    "iqr"
+];
+
+// Turn an aggregation of GroupedDataFrame.agg() into a function of the group.
+function toReducer(aggregation) {
+    if (typeof aggregation === "function") return aggregation;
+    if (aggregation === "count") return group => group.count();
+    if (Array.isArray(aggregation) && aggregation.length === 2) {
+        const [columnName, reducer] = aggregation;
+        if (typeof reducer === "function") {
+            return group => reducer(group.toArray(columnName));
+        }
+        if (reducer === "count") {
+            return group =>
+                group
+                    .toArray(columnName)
+                    .filter(value => ![NaN, null, undefined].includes(value))
+                    .length;
+        }
+        if (STAT_REDUCERS.includes(reducer)) {
+            return group => new Stat(group)[reducer](columnName);
+        }
+    }
+    throw new ArgumentTypeError(
+        aggregation,
+        `Function | 'count' | [column, Function | ${[
+            "count",
+            ...STAT_REDUCERS
+        ].join(" | ")}]`
+    );
+}
+
+function namedReducers(df, aggregations) {
+    return Object.entries(aggregations).map(([columnName, aggregation]) => {
+        if (Array.isArray(aggregation)) df._columnValues(aggregation[0]);
+        return [columnName, toReducer(aggregation)];
+    });
+}
 
 /**
  * Grouped DataFrame structure grouping DataFrame rows by column value.
@@ -153,7 +203,119 @@ class GroupedDataFrame {
     }
 
     /**
-     * Pivot a GroupedDataFrame.
+     * Move a window of rows over a column of each group, to compute moving means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Number} windowSize The number of rows in each window.
+     * @param {Object} [options={}] minPeriods and center, as for DataFrame.rolling().
+     * @returns {Rolling} A Rolling object giving one value per row of the grouped DataFrame, in its order.
+     * @example
+     * groupedDF.rolling('price', 7).mean()
+     */
+    rolling(columnName, windowSize, options = {}) {
+        return this.df
+            .window({ partitionBy: this.on })
+            .rolling(columnName, windowSize, options);
+    }
+
+    /**
+     * Expand a window from the first row of each group over a column, to compute cumulative means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Object} [options={}] minPeriods, as for DataFrame.expanding().
+     * @returns {Rolling} A Rolling object giving one value per row of the grouped DataFrame, in its order.
+     * @example
+     * groupedDF.expanding('price').max()
+     */
+    expanding(columnName, options = {}) {
+        return this.df
+            .window({ partitionBy: this.on })
+            .expanding(columnName, options);
+    }
+
+    /**
+     * Create several named aggregations at once, giving a DataFrame with a row per group.
+     * An aggregation can be 'count' (the group rows), a function of the group (as for .aggregate()), or [column, reducer],
+     * the reducer being 'count' (the non-missing values), a Stat module method (sum, mean, min, max, var, sd,
+     * median, mode, iqr) or a function of the column values.
+     * @param {Object} aggregations The aggregations, by name of the column they create.
+     * @returns {DataFrame} A new DataFrame with the group columns, then a column per aggregation.
+     * @example
+     * groupedDF.agg({
+     *     total: ['amount', 'sum'],
+     *     avg: ['amount', 'mean'],
+     *     n: 'count',
+     *     customers: ['customer', values => new Set(values).size],
+     *     custom: group => group.stat.max('amount') - group.stat.min('amount')
+     * })
+     */
+    agg(aggregations) {
+        const reducers = namedReducers(this.df, aggregations);
+        return this.df.__newInstance__(
+            [...this].map(({ group, groupKey }) =>
+                Object.assign(
+                    { ...groupKey },
+                    ...reducers.map(([columnName, reducer]) => ({
+                        [columnName]: reducer(group, groupKey)
+                    }))
+                )
+            ),
+            [...this.on, ...reducers.map(([columnName]) => columnName)]
+        );
+    }
+
+    /**
+     * Add a column computed by group to the grouped DataFrame, keeping its rows and their order.
+     * The function gives either a value set on each row of the group, or an Array with a value per row of the group.
+     * @param {String} columnName The column to create or to modify.
+     * @param {Function} func The function taking the group and its groupKey.
+     * @returns {DataFrame} The grouped DataFrame with the new column.
+     * @example
+     * groupedDF.transform('shopTotal', group => group.stat.sum('amount'))
+     * groupedDF.transform('share', group => {
+     *     const total = group.stat.sum('amount');
+     *     return group.toArray('amount').map(amount => amount / total);
+     * })
+     */
+    transform(columnName, func) {
+        const valuesByGroup = {};
+        let groupColumns = [];
+        for (const { group, groupKey, hash } of this) {
+            const values = func(group, groupKey);
+            if (Array.isArray(values) && values.length !== group.count()) {
+                throw new ArgumentTypeError(
+                    values,
+                    `a value or an Array of ${group.count()} values`
+                );
+            }
+            valuesByGroup[hash] = Array.isArray(values)
+                ? values
+                : Array(group.count()).fill(values);
+            groupColumns = Object.keys(groupKey);
+        }
+        // Rows are found in their group by hash, groups keeping the rows order.
+        const positions = {};
+        return this.df.withColumn(columnName, row => {
+            const hash = row.select(...groupColumns).hash();
+            positions[hash] = (positions[hash] || 0) + 1;
+            return valuesByGroup[hash][positions[hash] - 1];
+        });
+    }
+
+    /**
+     * Collect the values of a column into an Array for each group, as the reverse of DataFrame.explode().
+     * @param {String} columnName The column to nest.
+     * @returns {DataFrame} A new DataFrame with a row per group, the groupBy columns and the Arrays of values.
+     * @example
+     * df.explode('tags').groupBy('id').nest('tags')
+     */
+    nest(columnName) {
+        this.df._columnValues(columnName);
+        return this.agg({
+            [columnName]: group => group.toArray(columnName)
+        });
+    }
+
+    /**
+     * Pivot a GroupedDataFrame. DataFrame.pivotTable() gives fill values, margins and several aggregations.
      * @param {String} columnToPivot The column which will be transposed as columns.
      * @param {Function} [func=(gdf) => gdf.count()] The function to define each column value from a DataFrame.
      * @returns {DataFrame} The pivot DataFrame.
@@ -191,7 +353,7 @@ class GroupedDataFrame {
     }
 
     /**
-     * Melt a DataFrame to make it tidy. It's the reverse of GroupedDataFrame.pivot().
+     * Melt a DataFrame to make it tidy. It's the reverse of GroupedDataFrame.pivot(). DataFrame.melt() unpivots without grouping.
      * @param {String} [variableColumnName='variable'] The column name containing columns.
      * @param {String} [variableColumnName='value'] The column name containing values.
      * @returns {DataFrame} The tidy DataFrame.
@@ -238,6 +400,206 @@ class GroupedDataFrame {
     }
 }
 
+/**
+ * Several GroupedDataFrames made on sets of columns, to aggregate with subtotals and totals (as SQL GROUPING SETS).
+ * Aggregations give the rows of each grouping set one after the other, with a column grouping
+ * flagging the columns which are not used by the set of the row (as SQL GROUPING_ID): the first column
+ * gives the highest bit. These columns are undefined in the row.
+ */
+class GroupingSets {
+    /**
+     * Create GroupingSets. Used in DataFrame.groupingSets(), DataFrame.rollup() and DataFrame.cube().
+     * @param {DataFrame} df The DataFrame to group by.
+     * @param {Array} sets The grouping sets, as Arrays of columns.
+     * @example
+     * df.groupingSets([['column1', 'column2'], ['column1'], []]);
+     * //or
+     * groupingSets(df, [['column1', 'column2'], ['column1'], []]);
+     */
+    constructor(df, sets) {
+        this.df = df;
+        this.sets = sets;
+        this.on = [...new Set([].concat(...sets))];
+        this.groupedDFs = sets.map(set => groupBy(df, set));
+    }
+
+    *[Symbol.iterator]() {
+        for (const [index, groupedDF] of this.groupedDFs.entries()) {
+            const set = this.sets[index];
+            const grouping = this.on.reduce(
+                (p, column) => p * 2 + (set.includes(column) ? 0 : 1),
+                0
+            );
+            for (const { group, groupKey, hash } of groupedDF) {
+                yield { group, groupKey, hash, grouping };
+            }
+        }
+    }
+
+    /**
+     * List the groups of all grouping sets.
+     * @returns {Array} An Array containing the group names.
+     * @example
+     * df.rollup('column1', 'column2').listGroups()
+     */
+    listGroups() {
+        return [...this].map(({ groupKey }) => groupKey);
+    }
+
+    /**
+     * Create an aggregation from a function, as GroupedDataFrame.aggregate().
+     * @param {Function} func The aggregation function.
+     * @param {String} [columnName='aggregation'] The column name created by the aggregation.
+     * @returns {DataFrame} A new DataFrame with the grouping columns, the grouping indicator and the aggregation.
+     * @example
+     * df.rollup('column1', 'column2').aggregate(group => group.stat.sum('column3'));
+     */
+    aggregate(func, columnName = "aggregation") {
+        return this.agg({ [columnName]: func });
+    }
+
+    /**
+     * Create several named aggregations at once, as GroupedDataFrame.agg().
+     * @param {Object} aggregations The aggregations, by name of the column they create.
+     * @returns {DataFrame} A new DataFrame with the grouping columns, the grouping indicator and a column per aggregation.
+     * @example
+     * df.cube('column1', 'column2').agg({ total: ['column3', 'sum'], n: 'count' });
+     */
+    agg(aggregations) {
+        const reducers = namedReducers(this.df, aggregations);
+        return this.df.__newInstance__(
+            [...this].map(({ group, groupKey, grouping }) =>
+                Object.assign(
+                    { ...groupKey, grouping },
+                    ...reducers.map(([columnName, reducer]) => ({
+                        [columnName]: reducer(group, groupKey)
+                    }))
+                )
+            ),
+            [
+                ...this.on,
+                "grouping",
+                ...reducers.map(([columnName]) => columnName)
+            ]
+        );
+    }
+}
+
+function groupingSets(df, sets) {
+    if (!Array.isArray(sets) || !sets.every(set => Array.isArray(set))) {
+        throw new ArgumentTypeError(sets, "Array of Arrays of columns");
+    }
+    sets.forEach(set => set.forEach(column => df._columnValues(column)));
+    return new GroupingSets(df, sets);
+}
+
+function pivotTable(
+    df,
+    {
+        index = [],
+        columns,
+        values = [],
+        aggfunc = "count",
+        fillValue,
+        margins = false,
+        marginsName = "All"
+    } = {}
+) {
+    if (typeof columns !== "string") {
+        throw new ArgumentTypeError(columns, "String (column to pivot)");
+    }
+    const [on, valueColumns] = [[].concat(index), [].concat(values)];
+    const aggregations =
+        typeof aggfunc === "object"
+            ? aggfunc
+            : {
+                  [typeof aggfunc === "string"
+                      ? aggfunc
+                      : "aggregation"]: aggfunc
+              };
+    const names = Object.keys(aggregations);
+    const reducers = [].concat(
+        ...(valueColumns.length > 0 ? valueColumns : [undefined]).map(
+            valueColumn =>
+                namedReducers(
+                    df,
+                    names.reduce(
+                        (p, name) => ({
+                            ...p,
+                            [name]:
+                                valueColumn === undefined
+                                    ? aggregations[name]
+                                    : [valueColumn, aggregations[name]]
+                        }),
+                        {}
+                    )
+                ).map(([name, reducer]) => [valueColumn, name, reducer])
+        )
+    );
+    // Prefix pivoted values by aggregation and value column when several.
+    const label = (valueColumn, name, pivotValue) =>
+        names.length > 1 || valueColumns.length > 1
+            ? [
+                  ...(names.length > 1 ? [name] : []),
+                  ...(valueColumns.length > 1 ? [valueColumn] : []),
+                  pivotValue
+              ].join("_")
+            : pivotValue;
+    const pivotValues = df.distinct(columns).toArray(columns);
+
+    const pivotRow = (group, groupKey) => {
+        const cells = new Map(
+            [...groupBy(group, [columns])].map(cell => [
+                cell.groupKey[columns],
+                cell.group
+            ])
+        );
+        return Object.assign(
+            { ...groupKey },
+            ...reducers.map(([valueColumn, name, reducer]) =>
+                Object.assign(
+                    {},
+                    ...pivotValues.map(pivotValue => ({
+                        [label(valueColumn, name, pivotValue)]: cells.has(
+                            pivotValue
+                        )
+                            ? reducer(cells.get(pivotValue), {
+                                  ...groupKey,
+                                  [columns]: pivotValue
+                              })
+                            : fillValue
+                    })),
+                    margins
+                        ? {
+                              [label(valueColumn, name, marginsName)]: reducer(
+                                  group,
+                                  groupKey
+                              )
+                          }
+                        : {}
+                )
+            )
+        );
+    };
+
+    const rows = [...groupBy(df, on)].map(({ group, groupKey }) =>
+        pivotRow(group, groupKey)
+    );
+    if (margins && on.length > 0) {
+        rows.push({ ...pivotRow(df, {}), [on[0]]: marginsName });
+    }
+    return df.__newInstance__(rows, [
+        ...on,
+        ...[].concat(
+            ...reducers.map(([valueColumn, name]) =>
+                [...pivotValues, ...(margins ? [marginsName] : [])].map(
+                    pivotValue => label(valueColumn, name, pivotValue)
+                )
+            )
+        )
+    ]);
+}
+
 function groupBy(df, columnNames) {
     const rowsByGroup = {};
     const hashes = [];
@@ -254,7 +616,7 @@ function groupBy(df, columnNames) {
         groups[hash] = {
             groupKey: rowsByGroup[hash][0].select(...columnNames).toDict(),
             hash,
-            group: new df.constructor(rowsByGroup[hash], df.listColumns())
+            group: df.__newInstance__(rowsByGroup[hash], df.listColumns())
         };
         return groups;
     }, {});
@@ -262,4 +624,10 @@ function groupBy(df, columnNames) {
     return new GroupedDataFrame(df, columnNames, groups, hashes);
 }
 
-export { groupBy, GroupedDataFrame };
+export {
+    groupBy,
+    groupingSets,
+    pivotTable,
+    GroupedDataFrame,
+    GroupingSets
+};
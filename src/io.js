@@ -2,7 +2,8 @@ import { text, json } from "d3-request";
 import { dsvFormat } from "d3-dsv";
 import { __columns__ } from "./symbol";
 
-import { FileNotFoundError } from "./errors";
+import { FileNotFoundError, JSONLineParseError, CastError } from "./errors";
+import { checkType, inferType, castAs, canCastAs } from "./types";
 
 function saveFile(path, content) {
     try {
@@ -63,15 +64,74 @@ function toJSON(df, asCollection = false, path = undefined) {
     return jsonContent;
 }
 
-function fromDSV(pathOrFile, sep = ";", header = true) {
+function toNDJSON(df, path = undefined) {
+    const ndjsonContent = df
+        .toCollection()
+        .map(row => `${JSON.stringify(row)}\n`)
+        .join("");
+    if (path) {
+        saveFile(df._cleanSavePath(path), ndjsonContent);
+    }
+    return ndjsonContent;
+}
+
+function inferTypes(data, header, { sampleSize = 1000, types = {} }) {
+    const columns = header
+        ? data.columns
+        : [
+              ...Array(
+                  data.reduce((p, n) => Math.max(p, n.length), 0)
+              ).keys()
+          ].map(String);
+    const sample = data.slice(0, sampleSize);
+    const columnTypes = Object.assign(
+        {},
+        ...columns.map(column => ({
+            [column]: types[column]
+                ? checkType(types[column])
+                : inferType(sample.map(row => row[column]))
+        }))
+    );
+    // Rows after the sample can hold values of another type: the inferred
+    // columns fall back to string, the overridden ones can't.
+    data.forEach((row, index) =>
+        columns.forEach(column => {
+            if (canCastAs(row[column], columnTypes[column])) return;
+            if (types[column]) {
+                throw new CastError(column, index, row[column], types[column]);
+            }
+            columnTypes[column] = "string";
+        })
+    );
+    const castedData = data.map(row => {
+        const castedRow = header ? {} : [];
+        columns.forEach(column => {
+            castedRow[column] = castAs(row[column], columnTypes[column]);
+        });
+        return castedRow;
+    });
+    castedData.columns = columns;
+    castedData.types = columnTypes;
+    return castedData;
+}
+
+function fromDSV(pathOrFile, sep = ";", header = true, options = {}) {
     const parser = dsvFormat(sep);
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
         const parseText = fileContent => {
             if (fileContent.includes("Error: ENOENT")) return resolve(null);
             const data = header
                 ? parser.parse(fileContent)
                 : parser.parseRows(fileContent);
-            return resolve(data);
+            try {
+                return resolve(
+                    options.inferTypes
+                        ? inferTypes(data, header, options)
+                        : data
+                );
+            } catch (error) {
+                return reject(error);
+            }
         };
         return typeof pathOrFile === "string"
             ? text(addFileProtocol(pathOrFile), parseText)
@@ -84,20 +144,20 @@ function fromDSV(pathOrFile, sep = ";", header = true) {
     });
 }
 
-function fromText(pathOrFile, sep = ";", header = true) {
-    return fromDSV(pathOrFile, sep, header);
+function fromText(pathOrFile, sep = ";", header = true, options = {}) {
+    return fromDSV(pathOrFile, sep, header, options);
 }
 
-function fromCSV(pathOrFile, header = true) {
-    return fromDSV(pathOrFile, ",", header);
+function fromCSV(pathOrFile, header = true, options = {}) {
+    return fromDSV(pathOrFile, ",", header, options);
 }
 
-function fromTSV(pathOrFile, header = true) {
-    return fromDSV(pathOrFile, "\t", header);
+function fromTSV(pathOrFile, header = true, options = {}) {
+    return fromDSV(pathOrFile, "\t", header, options);
 }
 
-function fromPSV(pathOrFile, header = true) {
-    return fromDSV(pathOrFile, "|", header);
+function fromPSV(pathOrFile, header = true, options = {}) {
+    return fromDSV(pathOrFile, "|", header, options);
 }
 
 function fromJSON(pathOrFile) {
@@ -113,6 +173,175 @@ function fromJSON(pathOrFile) {
     });
 }
 
+function createRecordSplitter(sep) {
+    let buffer = "";
+    let scanned = 0;
+    let inQuotes = false;
+    let fieldStart = true;
+    let quoteClosed = false;
+    return {
+        push(piece) {
+            buffer += piece;
+            let boundary = 0;
+            let i = scanned;
+            for (; i < buffer.length; i++) {
+                const char = buffer[i];
+                if (inQuotes) {
+                    if (char === '"') {
+                        inQuotes = false;
+                        quoteClosed = true;
+                    }
+                    continue;
+                }
+                if (char === '"' && (fieldStart || quoteClosed)) {
+                    inQuotes = true;
+                } else if (char === "\n") {
+                    boundary = i + 1;
+                } else if (char === "\r") {
+                    // A lone \r ends a record too, as in d3-dsv: wait for the
+                    // next piece when it can still be followed by \n.
+                    if (i + 1 === buffer.length) break;
+                    if (buffer[i + 1] !== "\n") boundary = i + 1;
+                }
+                fieldStart = char === sep || char === "\n" || char === "\r";
+                quoteClosed = false;
+            }
+            const records = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary);
+            scanned = i - boundary;
+            return records;
+        },
+        flush() {
+            const records = buffer;
+            buffer = "";
+            scanned = 0;
+            return records;
+        }
+    };
+}
+
+async function* readTextPieces(pathOrFile, bufferSize) {
+    if (typeof pathOrFile !== "string") {
+        yield await new Promise(resolve => loadTextFile(pathOrFile, resolve));
+        return;
+    }
+    if (/^https?:\/\//.test(pathOrFile)) {
+        yield await new Promise(resolve =>
+            text(pathOrFile, (err, content) => resolve(err ? null : content))
+        ).then(content => {
+            if (content === null) throw new FileNotFoundError(pathOrFile);
+            return content;
+        });
+        return;
+    }
+    const stream = require("fs").createReadStream(
+        pathOrFile.replace("file://", ""),
+        { encoding: "utf8", highWaterMark: bufferSize }
+    );
+    try {
+        for await (const piece of stream) {
+            yield piece;
+        }
+    } catch (err) {
+        if (err.code === "ENOENT") throw new FileNotFoundError(pathOrFile);
+        throw err;
+    }
+}
+
+async function* streamDSV(
+    pathOrFile,
+    sep = ";",
+    header = true,
+    { chunkSize = 10000, bufferSize = 65536 } = {}
+) {
+    const parser = dsvFormat(sep);
+    const splitter = createRecordSplitter(sep);
+    let columns;
+    let rows = [];
+    const parseRecords = records => {
+        for (const row of parser.parseRows(records)) {
+            if (!columns) {
+                columns = header ? row : [...row.keys()].map(String);
+                if (header) continue;
+            }
+            rows.push(row);
+        }
+    };
+    for await (const piece of readTextPieces(pathOrFile, bufferSize)) {
+        parseRecords(splitter.push(piece));
+        // A single piece can hold the whole file: the remaining rows are
+        // kept once all its full chunks are yielded.
+        let offset = 0;
+        for (; rows.length - offset >= chunkSize; offset += chunkSize) {
+            yield [rows.slice(offset, offset + chunkSize), columns];
+        }
+        rows = rows.slice(offset);
+    }
+    parseRecords(splitter.flush());
+    for (let offset = 0; offset < rows.length; offset += chunkSize) {
+        yield [rows.slice(offset, offset + chunkSize), columns];
+    }
+}
+
+function streamText(pathOrFile, sep = ";", header = true, options = {}) {
+    return streamDSV(pathOrFile, sep, header, options);
+}
+
+function streamCSV(pathOrFile, header = true, options = {}) {
+    return streamDSV(pathOrFile, ",", header, options);
+}
+
+function streamTSV(pathOrFile, header = true, options = {}) {
+    return streamDSV(pathOrFile, "\t", header, options);
+}
+
+function streamPSV(pathOrFile, header = true, options = {}) {
+    return streamDSV(pathOrFile, "|", header, options);
+}
+
+function parseNDJSON(fileContent) {
+    const collection = [];
+    const columns = new Set();
+    fileContent.split("\n").forEach((line, index) => {
+        if (line.trim() === "") return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            throw new JSONLineParseError(index + 1, err.message);
+        }
+        if (
+            record === null ||
+            typeof record !== "object" ||
+            Array.isArray(record)
+        ) {
+            throw new JSONLineParseError(index + 1, "expecting an Object");
+        }
+        Object.keys(record).forEach(key => columns.add(key));
+        collection.push(record);
+    });
+    return [collection, [...columns]];
+}
+
+function fromNDJSON(pathOrFile) {
+    return new Promise(resolve => {
+        const resolveText = fileContent =>
+            resolve(
+                fileContent === null || fileContent.includes("Error: ENOENT")
+                    ? null
+                    : fileContent
+            );
+        return typeof pathOrFile === "string"
+            ? text(addFileProtocol(pathOrFile), resolveText)
+            : loadTextFile(pathOrFile, resolveText);
+    }).then(fileContent => {
+        if (fileContent === null) {
+            throw new FileNotFoundError(pathOrFile);
+        }
+        return parseNDJSON(fileContent);
+    });
+}
+
 export {
     toDSV,
     toCSV,
@@ -120,10 +349,17 @@ export {
     toPSV,
     toText,
     toJSON,
+    toNDJSON,
     fromDSV,
     fromCSV,
     fromTSV,
     fromPSV,
     fromText,
-    fromJSON
+    fromJSON,
+    fromNDJSON,
+    streamDSV,
+    streamCSV,
+    streamTSV,
+    streamPSV,
+    streamText
 };
@@ -0,0 +1,740 @@
+import { __plan__ } from "./symbol";
+import { ArgumentTypeError, LazyPlanError } from "./errors";
+
+const EXECUTORS = {
+    map: (df, { func }) => df.map(func),
+    filter: (df, { condition }) => df.filter(condition),
+    // Each fused step counts the rows of its own input, as its eager operation.
+    chain: (df, { steps }) =>
+        df.chain(
+            ...steps.map(step => {
+                let index = 0;
+                return step.type === "map"
+                    ? row => step.func(row, index++)
+                    : row => Boolean(step.condition(row, index++));
+            })
+        ),
+    select: (df, { columns }) => df.select(...columns),
+    withColumn: (df, { column, func }) => df.withColumn(column, func),
+    drop: (df, { column }) => df.drop(column),
+    rename: (df, { column, replacement }) => df.rename(column, replacement),
+    cast: (df, { column, typeFunction }) => df.cast(column, typeFunction),
+    sortBy: (df, { args }) => df.sortBy(...args),
+    slice: (df, { args }) => df.slice(...args),
+    union: (df, { other }) => df.union(other.collect()),
+    join: (df, { other, columnNames, how, options }) =>
+        df.join(other.collect(), columnNames, how, options),
+    joinWhere: (df, { other, condition, how, options }) =>
+        df.joinWhere(other.collect(), condition, how, options),
+    groupBy: (df, { columns }) => df.groupBy(...columns)
+};
+
+const DESCRIPTIONS = {
+    map: () => "Map",
+    filter: ({ condition, columns }) =>
+        typeof condition === "object"
+            ? `Filter ${JSON.stringify(condition)}`
+            : columns
+            ? `Filter on [${columns.join(", ")}]`
+            : "Filter",
+    chain: ({ steps }) => `Chain [${steps.map(describeStep).join(", ")}]`,
+    select: ({ columns }) => `Select [${columns.join(", ")}]`,
+    withColumn: ({ column }) => `WithColumn ${column}`,
+    drop: ({ column }) => `Drop ${column}`,
+    rename: ({ column, replacement }) => `Rename ${column} -> ${replacement}`,
+    cast: ({ column }) => `Cast ${column}`,
+    sortBy: ({ args: [columnNames, reverse] }) =>
+        `SortBy [${[].concat(columnNames).join(", ")}]${
+            reverse ? " reversed" : ""
+        }`,
+    slice: ({ args: [startIndex, endIndex] }) =>
+        `Slice [${startIndex || 0}:${endIndex === undefined ? "" : endIndex}]`,
+    union: () => "Union",
+    join: ({ on, onToJoin, how }) =>
+        how === "cross"
+            ? "Join cross"
+            : `Join ${how} on [${on
+                  .map((key, index) =>
+                      key === onToJoin[index]
+                          ? key
+                          : `${key} = ${onToJoin[index]}`
+                  )
+                  .join(", ")}]`,
+    joinWhere: ({ condition, how }) =>
+        typeof condition === "function"
+            ? `JoinWhere ${how}`
+            : `JoinWhere ${how} on [${[].concat(condition.left).join(", ")}] ` +
+              `in [${[].concat(condition.right).join(", ")}]`,
+    groupBy: ({ columns }) => `GroupBy [${columns.join(", ")}]`
+};
+
+function describeStep(step) {
+    return DESCRIPTIONS[step.type](step);
+}
+
+function isRowStep(step) {
+    return (
+        step.type === "map" ||
+        step.type === "chain" ||
+        (step.type === "filter" && typeof step.condition === "function")
+    );
+}
+
+function outputColumns(df, plan) {
+    return plan.reduce((columns, step) => {
+        if (!columns) return columns;
+        switch (step.type) {
+            case "select":
+                return step.columns;
+            case "withColumn":
+                return columns.includes(step.column)
+                    ? columns
+                    : [...columns, step.column];
+            case "drop":
+                return columns.filter(column => column !== step.column);
+            case "rename":
+                return columns.map(column =>
+                    column === step.column ? step.replacement : column
+                );
+            case "join": {
+                if (["semi", "anti"].includes(step.how)) return columns;
+                const otherColumns = step.other.columns();
+                return otherColumns
+                    ? joinColumns(columns, otherColumns, step)
+                    : undefined;
+            }
+            case "joinWhere": {
+                if (["semi", "anti"].includes(step.how)) return columns;
+                const otherColumns = step.other.columns();
+                return otherColumns
+                    ? joinColumns(columns, otherColumns, {
+                          on: [],
+                          onToJoin: [],
+                          options: step.options
+                      })
+                    : undefined;
+            }
+            case "map":
+            case "groupBy":
+                return undefined;
+            case "chain":
+                return step.steps.some(({ type }) => type === "map")
+                    ? undefined
+                    : columns;
+            default:
+                return columns;
+        }
+    }, df.listColumns());
+}
+
+function joinColumns(columns, otherColumns, { on, onToJoin, options }) {
+    const collisions = otherColumns.filter(
+        column => columns.includes(column) && !onToJoin.includes(column)
+    );
+    const [suffix, suffixToJoin] = options.suffixes || ["", ""];
+    const addSuffix = (column, columnSuffix) =>
+        collisions.includes(column) ? `${column}${columnSuffix}` : column;
+    const columnsNames = columns.map(column => addSuffix(column, suffix));
+    return [
+        ...new Set([
+            ...columnsNames,
+            ...otherColumns.map(column => {
+                if (!onToJoin.includes(column)) {
+                    return addSuffix(column, suffixToJoin);
+                }
+                const key = on[onToJoin.indexOf(column)];
+                return columns.includes(key)
+                    ? columnsNames[columns.indexOf(key)]
+                    : key;
+            })
+        ])
+    ];
+}
+
+// Rename the join keys used by a filter pushed to the joined side.
+function filterToJoin(filter, { on, onToJoin }) {
+    const rename = column =>
+        on.includes(column) ? onToJoin[on.indexOf(column)] : column;
+    return typeof filter.condition === "object"
+        ? {
+              ...filter,
+              condition: Object.assign(
+                  {},
+                  ...Object.entries(filter.condition).map(
+                      ([column, value]) => ({ [rename(column)]: value })
+                  )
+              ),
+              columns: filter.columns.map(rename)
+          }
+        : filter;
+}
+
+function isSubset(columns, superset) {
+    return columns.every(column => superset.includes(column));
+}
+
+// Give the sides ([left, right]) where a filter can be moved before a step.
+function filterDestinations({ columns, condition }, step, inputColumns) {
+    switch (step.type) {
+        case "filter":
+            // Movable filters are already pushed down, and other functions
+            // may read the row index: keep their order.
+            return [false, false];
+        case "select":
+        case "sortBy":
+            return [true, false];
+        case "withColumn":
+            // Only functions given with the columns they read are row-wise.
+            return [
+                Boolean(step.columns) && !columns.includes(step.column),
+                false
+            ];
+        case "drop":
+        case "cast":
+            return [!columns.includes(step.column), false];
+        case "rename":
+            return [
+                !columns.includes(step.column) &&
+                    !columns.includes(step.replacement),
+                false
+            ];
+        case "union": {
+            const otherColumns = step.other.columns();
+            const pushable = Boolean(
+                otherColumns && isSubset(columns, otherColumns)
+            );
+            return [pushable, pushable];
+        }
+        case "join": {
+            if (["semi", "anti"].includes(step.how)) {
+                return [true, false];
+            }
+            const otherColumns = step.other.columns();
+            if (!inputColumns || !otherColumns) return [false, false];
+            // Filter functions can't read renamed keys on the joined side.
+            const pushableToJoin =
+                typeof condition === "object" ||
+                columns.every(
+                    column =>
+                        !step.on.includes(column) ||
+                        step.onToJoin[step.on.indexOf(column)] === column
+                );
+            if (isSubset(columns, step.on)) return [true, pushableToJoin];
+            const leftOnly = inputColumns.filter(
+                column => !otherColumns.includes(column)
+            );
+            const rightOnly = otherColumns.filter(
+                column =>
+                    !inputColumns.includes(column) &&
+                    !step.onToJoin.includes(column)
+            );
+            return [
+                ["inner", "left", "cross"].includes(step.how) &&
+                    isSubset(columns, [...leftOnly, ...step.on]),
+                ["inner", "right", "cross"].includes(step.how) &&
+                    pushableToJoin &&
+                    isSubset(columns, [...rightOnly, ...step.on])
+            ];
+        }
+        case "joinWhere":
+            // Other rows may match any row, so only filtering joins keep them.
+            return [["semi", "anti"].includes(step.how), false];
+        default:
+            return [false, false];
+    }
+}
+
+function pushDownFilter(df, plan, filter) {
+    let pushedPlan = plan;
+    for (let index = plan.length - 1; index >= 0; index--) {
+        const step = pushedPlan[index];
+        const [toLeft, toRight] = filterDestinations(
+            filter,
+            step,
+            outputColumns(df, pushedPlan.slice(0, index))
+        );
+        if (toRight) {
+            pushedPlan = [
+                ...pushedPlan.slice(0, index),
+                {
+                    ...step,
+                    other: step.other._record(
+                        step.type === "join"
+                            ? filterToJoin(filter, step)
+                            : filter
+                    )
+                },
+                ...pushedPlan.slice(index + 1)
+            ];
+        }
+        if (!toLeft) {
+            return toRight
+                ? pushedPlan
+                : [
+                      ...pushedPlan.slice(0, index + 1),
+                      filter,
+                      ...pushedPlan.slice(index + 1)
+                  ];
+        }
+    }
+    return [filter, ...pushedPlan];
+}
+
+function fuseSteps(plan) {
+    return plan.reduce((fused, step) => {
+        const previous = fused[fused.length - 1];
+        if (previous && isRowStep(previous) && isRowStep(step)) {
+            return [
+                ...fused.slice(0, -1),
+                {
+                    type: "chain",
+                    steps: [
+                        ...(previous.type === "chain"
+                            ? previous.steps
+                            : [previous]),
+                        ...(step.type === "chain" ? step.steps : [step])
+                    ]
+                }
+            ];
+        }
+        if (
+            previous &&
+            previous.type === "select" &&
+            step.type === "select" &&
+            isSubset(step.columns, previous.columns)
+        ) {
+            return [...fused.slice(0, -1), step];
+        }
+        return [...fused, step];
+    }, []);
+}
+
+function optimize(df, plan) {
+    return fuseSteps(
+        plan.reduce(
+            (optimized, step) =>
+                step.type === "filter" && step.columns
+                    ? pushDownFilter(df, optimized, step)
+                    : [...optimized, step],
+            []
+        )
+    );
+}
+
+function describePlan(df, plan, optimized, indent = "") {
+    return [
+        `${indent}Scan DataFrame [${df.count()} rows x ${
+            df.listColumns().length
+        } columns]`,
+        ...(optimized ? optimize(df, plan) : plan).map(step =>
+            [
+                `${indent}-> ${describeStep(step)}`,
+                ...(step.other
+                    ? describePlan(
+                          step.other.df,
+                          step.other[__plan__],
+                          optimized,
+                          `${indent}    `
+                      )
+                    : [])
+            ].join("\n")
+        )
+    ];
+}
+
+/**
+ * Lazy DataFrame recording operations into a query plan. Used in DataFrame.lazy().
+ * Nothing is computed until .collect(): the plan is first optimized by fusing consecutive
+ * maps, filters and selects, and by pushing filters before joins when their columns are known.
+ * Filters are not moved across withColumn functions, unless they are given with the columns they read.
+ */
+class LazyFrame {
+    /**
+     * Create a LazyFrame. Used in DataFrame.lazy().
+     * @param {DataFrame} df The DataFrame read by the plan.
+     * @param {Array} [plan=[]] The recorded operations.
+     * @example
+     * df.lazy();
+     * //or
+     * lazy(df);
+     */
+    constructor(df, plan = []) {
+        if (!df || typeof df.listColumns !== "function") {
+            throw new ArgumentTypeError(df, "DataFrame");
+        }
+        this.df = df;
+        this[__plan__] = plan;
+    }
+
+    _record(step) {
+        const plan = this[__plan__];
+        if (plan.length > 0 && plan[plan.length - 1].type === "groupBy") {
+            throw new LazyPlanError(
+                `${step.type} can't follow a groupBy in a lazy plan`
+            );
+        }
+        return new LazyFrame(this.df, [...plan, step]);
+    }
+
+    _toLazy(other) {
+        return other instanceof LazyFrame ? other : lazy(other);
+    }
+
+    /**
+     * List the columns produced by the plan, when they can be known without executing it.
+     * @returns {Array | undefined} The column names, or undefined after a map or a groupBy.
+     * @example
+     * df.lazy().select('column1').columns()
+     */
+    columns() {
+        return outputColumns(this.df, this[__plan__]);
+    }
+
+    /**
+     * Record a map on DataFrame rows.
+     * @param {Function} func A function to apply on each row taking the row and its index as parameters.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().map(row => row.set('column1', 3))
+     */
+    map(func) {
+        return this._record({ type: "map", func });
+    }
+
+    /**
+     * Record a filter on DataFrame rows.
+     * Column/value filters can be pushed before joins. Give the columns read by a filter function to allow it too: it then mustn't read the row index.
+     * @param {Function | Object} condition A filter function or a column/value object.
+     * @param {Array} [columns] The columns read by the filter function.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().filter({'column2': 5, 'column1': 3})
+     * df.lazy().filter(row => row.get('column1') >= 3, ['column1'])
+     */
+    filter(condition, columns) {
+        return this._record({
+            type: "filter",
+            condition,
+            columns:
+                typeof condition === "object"
+                    ? Object.keys(condition)
+                    : columns
+        });
+    }
+
+    /**
+     * Record a filter on DataFrame rows.
+     * Alias of .filter()
+     * @param {Function | Object} condition A filter function or a column/value object.
+     * @param {Array} [columns] The columns read by the filter function.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().where(row => row.get('column1') >= 3, ['column1'])
+     */
+    where(condition, columns) {
+        return this.filter(condition, columns);
+    }
+
+    /**
+     * Record a columns selection.
+     * @param {...String} columnNames The columns to select.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().select('column1', 'column3')
+     */
+    select(...columnNames) {
+        return this._record({ type: "select", columns: columnNames });
+    }
+
+    /**
+     * Record a column modification or creation.
+     * Filters are kept after it, unless the columns read by the function are given: it then mustn't read the row index.
+     * @param {String} columnName The column to modify or to create.
+     * @param {Function} [func=(row, index) => undefined] The function to apply.
+     * @param {Array} [columns] The columns read by the function.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().withColumn('column4', row => row.get('column2') * 2)
+     * df.lazy().withColumn('column4', row => row.get('column2') * 2, ['column2'])
+     */
+    withColumn(columnName, func, columns) {
+        return this._record({
+            type: "withColumn",
+            column: columnName,
+            func,
+            columns
+        });
+    }
+
+    /**
+     * Record a column deletion.
+     * @param {String} columnName The column to drop.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().drop('column2')
+     */
+    drop(columnName) {
+        return this._record({ type: "drop", column: columnName });
+    }
+
+    /**
+     * Record a column renaming.
+     * @param {String} columnName The column to rename.
+     * @param {String} replacement The new name of the column.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().rename('column1', 'columnRenamed')
+     */
+    rename(columnName, replacement) {
+        return this._record({
+            type: "rename",
+            column: columnName,
+            replacement
+        });
+    }
+
+    /**
+     * Record a column cast.
+     * @param {String} columnName The column to cast.
+     * @param {Function} typeFunction The function used to cast the column.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().cast('column1', Number)
+     */
+    cast(columnName, typeFunction) {
+        return this._record({ type: "cast", column: columnName, typeFunction });
+    }
+
+    /**
+     * Record a sort. Takes the same parameters as DataFrame.sortBy().
+     * @param {String | Array<string>} columnNames The columns giving order.
+     * @param {Boolean} [reverse=false] Reverse mode. Reverse the order if true.
+     * @param {String} [missingValuesPosition='first'] Define the position of missing values in the order.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().sortBy('id')
+     */
+    sortBy(...args) {
+        return this._record({ type: "sortBy", args });
+    }
+
+    /**
+     * Record a slice. Takes the same parameters as DataFrame.slice().
+     * @param {Number} [startIndex=0] The index to start the slice (included).
+     * @param {Number} [endIndex=undefined] The index to end the slice (excluded).
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().slice(2, 3)
+     */
+    slice(...args) {
+        return this._record({ type: "slice", args });
+    }
+
+    /**
+     * Record a concatenation with another DataFrame or LazyFrame.
+     * @param {DataFrame | LazyFrame} dfToUnion The DataFrame to concat.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().union(df2)
+     */
+    union(dfToUnion) {
+        return this._record({ type: "union", other: this._toLazy(dfToUnion) });
+    }
+
+    /**
+     * Record a join with another DataFrame or LazyFrame. Takes the same options as DataFrame.join().
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {String} [how='inner'] The join mode. Can be: full, inner, outer, left, right, semi, anti, cross.
+     * @param {Object} [options={}] Additional options. maxRows for cross joins, suffixes: an Array of 2 suffixes added to the columns present in both DataFrames, raiseOnCollision: throw a ColumnCollisionError on shared columns.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().join(df2, 'column1', 'full')
+     * df.lazy().join(df2, 'column1', 'inner', { suffixes: ['_x', '_y'] })
+     */
+    join(dfToJoin, columnNames, how = "inner", options = {}) {
+        const [on, onToJoin] = this.df._joinOn(columnNames);
+        return this._record({
+            type: "join",
+            other: this._toLazy(dfToJoin),
+            columnNames,
+            on,
+            onToJoin,
+            how,
+            options
+        });
+    }
+
+    /**
+     * Record a join with inner mode.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options, as for .join().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().innerJoin(df2, 'id')
+     */
+    innerJoin(dfToJoin, columnNames, options) {
+        return this.join(dfToJoin, columnNames, "inner", options);
+    }
+
+    /**
+     * Record a join with full mode.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options, as for .join().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().fullJoin(df2, 'id')
+     */
+    fullJoin(dfToJoin, columnNames, options) {
+        return this.join(dfToJoin, columnNames, "full", options);
+    }
+
+    /**
+     * Record a join with outer mode.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options, as for .join().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().outerJoin(df2, 'id')
+     */
+    outerJoin(dfToJoin, columnNames, options) {
+        return this.join(dfToJoin, columnNames, "outer", options);
+    }
+
+    /**
+     * Record a join with left mode.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options, as for .join().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().leftJoin(df2, 'id')
+     */
+    leftJoin(dfToJoin, columnNames, options) {
+        return this.join(dfToJoin, columnNames, "left", options);
+    }
+
+    /**
+     * Record a join with right mode.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @param {Object} [options={}] Additional options, as for .join().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().rightJoin(df2, 'id')
+     */
+    rightJoin(dfToJoin, columnNames, options) {
+        return this.join(dfToJoin, columnNames, "right", options);
+    }
+
+    /**
+     * Record a semi join, keeping the rows having a match.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().semiJoin(df2, 'id')
+     */
+    semiJoin(dfToJoin, columnNames) {
+        return this.join(dfToJoin, columnNames, "semi");
+    }
+
+    /**
+     * Record an anti join, keeping the rows without match.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {String | Array | Object} columnNames The selected columns for the join, or {left, right} columns when they are named differently.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().antiJoin(df2, 'id')
+     */
+    antiJoin(dfToJoin, columnNames) {
+        return this.join(dfToJoin, columnNames, "anti");
+    }
+
+    /**
+     * Record a cross join (cartesian product).
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {Object} [options={}] Additional options, as for DataFrame.crossJoin().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().crossJoin(df2, { maxRows: 1000000 })
+     */
+    crossJoin(dfToJoin, options) {
+        return this.join(dfToJoin, [], "cross", options);
+    }
+
+    /**
+     * Record a join on a condition between rows. Takes the same options as DataFrame.joinWhere().
+     * Filters are not pushed before it, except for semi and anti joins.
+     * @param {DataFrame | LazyFrame} dfToJoin The DataFrame to join.
+     * @param {Function | Object} condition A function (row, rowToJoin) => Boolean, or {left: column, right: [start, end]} for range conditions.
+     * @param {String} [how='inner'] The join mode. Can be: full, inner, outer, left, right, semi, anti.
+     * @param {Object} [options={}] Additional options, as for DataFrame.joinWhere().
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().joinWhere(windows, { left: 'ts', right: ['start', 'end'] })
+     */
+    joinWhere(dfToJoin, condition, how = "inner", options = {}) {
+        return this._record({
+            type: "joinWhere",
+            other: this._toLazy(dfToJoin),
+            condition,
+            how,
+            options
+        });
+    }
+
+    /**
+     * Record a groupBy. It has to be the last operation of the plan: .collect() then gives a GroupedDataFrame.
+     * @param {...String} columnNames The columns used for the groupBy.
+     * @returns {LazyFrame} A new LazyFrame.
+     * @example
+     * df.lazy().filter({'column2': 5}).groupBy('column1').collect().aggregate(group => group.count())
+     */
+    groupBy(...columnNames) {
+        return this._record({ type: "groupBy", columns: columnNames });
+    }
+
+    /**
+     * Optimize and execute the plan.
+     * It gives the same result as the eager operations: fused steps get the row index of their own input.
+     * @returns {DataFrame | GroupedDataFrame} The resulting DataFrame, or a GroupedDataFrame if the plan ends with a groupBy.
+     * @example
+     * df.lazy().filter({'column2': 5}).select('column1').collect()
+     */
+    collect() {
+        return optimize(this.df, this[__plan__]).reduce(
+            (df, step) => EXECUTORS[step.type](df, step),
+            this.df
+        );
+    }
+
+    /**
+     * Display the plan, from the scanned DataFrame to the last operation.
+     * @param {Boolean} [optimized=true] Display the optimized plan executed by .collect() instead of the recorded one.
+     * @param {Boolean} [quiet=false] Quiet mode. If true, only returns a string instead of console.log().
+     * @returns {String} The plan as String.
+     * @example
+     * df.lazy().select('column1').filter({'column1': 3}).explain()
+     */
+    explain(optimized = true, quiet = false) {
+        const output = describePlan(
+            this.df,
+            this[__plan__],
+            optimized
+        ).join("\n");
+        if (!quiet) {
+            console.log(output);
+        }
+        return output;
+    }
+}
+
+function lazy(df) {
+    return new LazyFrame(df);
+}
+
+export { lazy, LazyFrame };
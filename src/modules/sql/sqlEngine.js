@@ -2,6 +2,11 @@ import { xContains, xSplit, xReplace, makeGenerator } from "../../reusables";
 import { SQLParseError } from "../../errors";
 
 const REPLACMENTS = [
+    ["LEFT SEMI JOIN", "SEMIJOIN"],
+    ["LEFT ANTI JOIN", "ANTIJOIN"],
+    ["SEMI JOIN", "SEMIJOIN"],
+    ["ANTI JOIN", "ANTIJOIN"],
+    ["CROSS JOIN", "CROSSJOIN"],
     ["INNER JOIN", "INNERJOIN"],
     ["LEFT JOIN", "LEFTJOIN"],
     ["RIGHT JOIN", "RIGHTJOIN"],
@@ -43,14 +48,54 @@ function sqlArgsToArray(args) {
     return xReplace(args.join(" "), [" ", ""]).split(",");
 }
 
+function splitTableColumn(term, tables) {
+    const [table, ...column] = term.split(".");
+    return column.length > 0 && Object.keys(tables).includes(table)
+        ? [table, column.join(".")]
+        : [undefined, term];
+}
+
+function joinKeys(terms, tables, tableToJoin) {
+    return terms
+        .map(term =>
+            term.split("=").map(side => splitTableColumn(side, tables))
+        )
+        .reduce(
+            ({ left, right }, [[table, column], [, columnToJoin] = []]) =>
+                columnToJoin === undefined
+                    ? { left: [...left, column], right: [...right, column] }
+                    : table === tableToJoin
+                    ? {
+                          left: [...left, columnToJoin],
+                          right: [...right, column]
+                      }
+                    : {
+                          left: [...left, column],
+                          right: [...right, columnToJoin]
+                      },
+            { left: [], right: [] }
+        );
+}
+
 function joinHandler(operation, tables, type) {
     const ONKeywordLocation =
         operation.findIndex(word => word.toUpperCase() === "ON") + 1;
     return df =>
         df.join(
             tables[operation[0]],
-            sqlArgsToArray(
-                operation.filter((word, loc) => loc >= ONKeywordLocation)
+            joinKeys(
+                xSplit(
+                    operation
+                        .filter((word, loc) => loc >= ONKeywordLocation)
+                        .join(" "),
+                    ",",
+                    " AND ",
+                    " and "
+                )
+                    .map(term => xReplace(term, [" ", ""]))
+                    .filter(term => term !== ""),
+                tables,
+                operation[0]
             ),
             type
         );
@@ -111,6 +156,10 @@ const OPERATIONS_HANDLER = {
     LEFTJOIN: (operation, tables) => joinHandler(operation, tables, "left"),
     RIGHTJOIN: (operation, tables) => joinHandler(operation, tables, "right"),
     FULLJOIN: (operation, tables) => joinHandler(operation, tables, "full"),
+    SEMIJOIN: (operation, tables) => joinHandler(operation, tables, "semi"),
+    ANTIJOIN: (operation, tables) => joinHandler(operation, tables, "anti"),
+    CROSSJOIN: (operation, tables) => df =>
+        df.crossJoin(tables[operation[0]]),
     UNION: (operation, tables) => df =>
         df.union(
             operation[0].toUpperCase().includes("SELECT")
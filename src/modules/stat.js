@@ -1,4 +1,100 @@
-import { isNumber } from "../reusables";
+import { isNumber, range } from "../reusables";
+import { ArgumentTypeError } from "../errors";
+
+// Pick a value between the sorted values around a quantile position.
+const QUANTILE_METHODS = {
+    linear: (lower, higher, fraction) => lower + (higher - lower) * fraction,
+    lower: lower => lower,
+    higher: (lower, higher) => higher,
+    nearest: (lower, higher, fraction) => (fraction < 0.5 ? lower : higher),
+    midpoint: (lower, higher) => (lower + higher) / 2
+};
+
+const DESCRIBE_COLUMNS = [
+    "column",
+    "count",
+    "nulls",
+    "mean",
+    "sd",
+    "min",
+    "p25",
+    "p50",
+    "p75",
+    "max",
+    "distinct"
+];
+
+// Rank values from 1, giving their average rank to ties.
+function averageRanks(values) {
+    const indexes = values.map((value, index) => index);
+    indexes.sort((a, b) => values[a] - values[b]);
+    const ranks = Array(values.length);
+    for (let start = 0; start < indexes.length; ) {
+        let end = start + 1;
+        while (
+            end < indexes.length &&
+            values[indexes[end]] === values[indexes[start]]
+        ) {
+            end++;
+        }
+        for (let i = start; i < end; i++) {
+            ranks[indexes[i]] = (start + end + 1) / 2;
+        }
+        start = end;
+    }
+    return ranks;
+}
+
+function covariance(xs, ys) {
+    if (xs.length < 2) return undefined;
+    const [meanX, meanY] = [xs, ys].map(
+        values => values.reduce((p, n) => p + n, 0) / values.length
+    );
+    return (
+        xs.reduce((p, x, i) => p + (x - meanX) * (ys[i] - meanY), 0) /
+        (xs.length - 1)
+    );
+}
+
+function pearson(xs, ys) {
+    if (xs.length < 2) return undefined;
+    return (
+        covariance(xs, ys) /
+        Math.sqrt(covariance(xs, xs) * covariance(ys, ys))
+    );
+}
+
+// Kendall tau-b, taking ties into account.
+function kendall(xs, ys) {
+    if (xs.length < 2) return undefined;
+    let [concordant, discordant, tiesX, tiesY] = [0, 0, 0, 0];
+    for (let i = 0; i < xs.length; i++) {
+        for (let j = i + 1; j < xs.length; j++) {
+            const sign = Math.sign(xs[i] - xs[j]) * Math.sign(ys[i] - ys[j]);
+            if (xs[i] === xs[j]) tiesX++;
+            if (ys[i] === ys[j]) tiesY++;
+            if (sign > 0) concordant++;
+            if (sign < 0) discordant++;
+        }
+    }
+    const pairs = (xs.length * (xs.length - 1)) / 2;
+    return (
+        (concordant - discordant) /
+        Math.sqrt((pairs - tiesX) * (pairs - tiesY))
+    );
+}
+
+const CORRELATION_METHODS = {
+    pearson,
+    spearman: (xs, ys) => pearson(averageRanks(xs), averageRanks(ys)),
+    kendall
+};
+
+const HISTOGRAM_COLUMNS = ["start", "end", "count"];
+
+function isMissing(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
 
 /**
  * Stat module for DataFrame, providing basic statistical metrics for numeric columns.
@@ -13,7 +109,60 @@ class Stat {
         this.name = "stat";
     }
 
+    _numbers(columnName) {
+        return this.df
+            .toArray(columnName)
+            .filter(value => isNumber(value))
+            .map(Number);
+    }
+
+    // Keep the rows where both columns have a numerical value.
+    _numberPairs(columnName, otherColumnName) {
+        const [values, otherValues] = [
+            this.df.toArray(columnName),
+            this.df.toArray(otherColumnName)
+        ];
+        const [xs, ys] = [[], []];
+        values.forEach((value, index) => {
+            if (isNumber(value) && isNumber(otherValues[index])) {
+                xs.push(Number(value));
+                ys.push(Number(otherValues[index]));
+            }
+        });
+        return [xs, ys];
+    }
+
+    _numericColumns() {
+        const schema = this.df.schema();
+        return this.df.listColumns().filter(column => {
+            if (schema[column]) return schema[column] === "number";
+            const values = this.df
+                .toArray(column)
+                .filter(value => !isMissing(value));
+            return (
+                values.length > 0 &&
+                values.every(value => typeof value === "number")
+            );
+        });
+    }
+
+    _quantiles(sortedNumbers, quantiles, method) {
+        return quantiles.map(quantile => {
+            if (sortedNumbers.length === 0) return undefined;
+            const position = quantile * (sortedNumbers.length - 1);
+            const index = Math.floor(position);
+            return QUANTILE_METHODS[method](
+                sortedNumbers[index],
+                sortedNumbers[Math.min(index + 1, sortedNumbers.length - 1)],
+                position - index
+            );
+        });
+    }
+
     _castAsNumber(columnName) {
+        if (this.df.schema()[columnName] === "number") {
+            return this.df.filter(row => isNumber(row.get(columnName)));
+        }
         return this.df
             .withColumn(columnName, row => Number(row.get(columnName)))
             .filter(row => !Number.isNaN(row.get(columnName)));
@@ -132,6 +281,250 @@ class Stat {
         return Math.sqrt(this.var(columnName, population));
     }
 
+    /**
+     * Compute quantiles of a numeric column, ignoring non-numerical values.
+     * @param {String} columnName The column to evaluate, containing Numbers.
+     * @param {Number | Array} q The quantile (between 0 and 1), or an Array of quantiles.
+     * @param {String} [method='linear'] The way to compute a quantile between two values. Can be: linear (interpolation), lower, higher, nearest, midpoint.
+     * @returns {Number | Array} The quantile, or an Array of quantiles. undefined if the column has no numerical value.
+     * @example
+     * df.stat.quantile('column1', 0.9)
+     * df.stat.quantile('column1', [0.25, 0.5, 0.75], 'nearest')
+     */
+    quantile(columnName, q, method = "linear") {
+        if (!QUANTILE_METHODS[method]) {
+            throw new ArgumentTypeError(
+                method,
+                Object.keys(QUANTILE_METHODS).join(" | ")
+            );
+        }
+        const quantiles = [].concat(q);
+        quantiles.forEach(quantile => {
+            const isQuantile =
+                typeof quantile === "number" && quantile >= 0 && quantile <= 1;
+            if (!isQuantile) {
+                throw new ArgumentTypeError(quantile, "Number between 0 and 1");
+            }
+        });
+        const results = this._quantiles(
+            this._numbers(columnName).sort((a, b) => a - b),
+            quantiles,
+            method
+        );
+        return Array.isArray(q) ? results : results[0];
+    }
+
+    /**
+     * Compute the median of a numeric column, ignoring non-numerical values.
+     * @param {String} columnName The column to evaluate, containing Numbers.
+     * @returns {Number} The median of the column.
+     * @example
+     * df.stat.median('column1')
+     */
+    median(columnName) {
+        return this.quantile(columnName, 0.5);
+    }
+
+    /**
+     * Compute the interquartile range (between the 25% and 75% quantiles) of a numeric column.
+     * @param {String} columnName The column to evaluate, containing Numbers.
+     * @param {String} [method='linear'] The way to compute the quantiles, as for .quantile().
+     * @returns {Number} The interquartile range of the column.
+     * @example
+     * df.stat.iqr('column1')
+     */
+    iqr(columnName, method = "linear") {
+        const [q1, q3] = this.quantile(columnName, [0.25, 0.75], method);
+        return q1 === undefined ? undefined : q3 - q1;
+    }
+
+    /**
+     * Find the most frequent value of a column, ignoring missing values (undefined, null, NaN).
+     * The first one in the column order is given on ties.
+     * @param {String} columnName The column to evaluate.
+     * @returns The most frequent value, undefined if the column has only missing values.
+     * @example
+     * df.stat.mode('column1')
+     */
+    mode(columnName) {
+        const counts = new Map();
+        let [mode, modeCount] = [undefined, 0];
+        for (const value of this.df.toArray(columnName)) {
+            if (isMissing(value)) continue;
+            const count = (counts.get(value) || 0) + 1;
+            counts.set(value, count);
+            if (count > modeCount) [mode, modeCount] = [value, count];
+        }
+        return mode;
+    }
+
+    /**
+     * Summarize numeric columns: numerical values count, missing values (undefined, null, NaN) count, mean,
+     * standard deviation, min, quartiles (p25, p50, p75), max and distinct values count.
+     * @param {String | Array} [columnNames] The columns to summarize. By default, the columns typed as number
+     * in the schema or containing only numbers.
+     * @returns {DataFrame} A DataFrame with a row per column.
+     * @example
+     * df.stat.describe()
+     * df.stat.describe(['column1', 'column2'])
+     */
+    describe(columnNames) {
+        const columns = columnNames
+            ? [].concat(columnNames)
+            : this._numericColumns();
+        return this.df.__newInstance__(
+            columns.map(column => {
+                const values = this.df.toArray(column);
+                const numbers = this._numbers(column).sort((a, b) => a - b);
+                const count = numbers.length;
+                const mean = count
+                    ? numbers.reduce((p, n) => p + n, 0) / count
+                    : undefined;
+                const [p25, p50, p75] = this._quantiles(
+                    numbers,
+                    [0.25, 0.5, 0.75],
+                    "linear"
+                );
+                return {
+                    column,
+                    count,
+                    nulls: values.filter(isMissing).length,
+                    mean,
+                    sd:
+                        count > 1
+                            ? Math.sqrt(
+                                  numbers.reduce(
+                                      (p, n) => p + Math.pow(n - mean, 2),
+                                      0
+                                  ) /
+                                      (count - 1)
+                              )
+                            : undefined,
+                    min: numbers[0],
+                    p25,
+                    p50,
+                    p75,
+                    max: numbers[count - 1],
+                    distinct: new Set(values.filter(value => !isMissing(value)))
+                        .size
+                };
+            }),
+            DESCRIBE_COLUMNS,
+            {}
+        );
+    }
+
+    /**
+     * Compute the sample covariance of two numeric columns, on the rows where both have a numerical value.
+     * @param {String} columnName The first column to evaluate, containing Numbers.
+     * @param {String} otherColumnName The second column to evaluate, containing Numbers.
+     * @returns {Number} The covariance of the columns. undefined with less than 2 rows.
+     * @example
+     * df.stat.cov('column1', 'column2')
+     */
+    cov(columnName, otherColumnName) {
+        return covariance(...this._numberPairs(columnName, otherColumnName));
+    }
+
+    /**
+     * Compute the correlation of two numeric columns, on the rows where both have a numerical value.
+     * @param {String} columnName The first column to evaluate, containing Numbers.
+     * @param {String} otherColumnName The second column to evaluate, containing Numbers.
+     * @param {String} [method='pearson'] The correlation coefficient. Can be: pearson, spearman (on ranks), kendall (tau-b).
+     * @returns {Number} The correlation of the columns, between -1 and 1. undefined with less than 2 rows.
+     * @example
+     * df.stat.corr('column1', 'column2')
+     * df.stat.corr('column1', 'column2', 'spearman')
+     */
+    corr(columnName, otherColumnName, method = "pearson") {
+        if (!CORRELATION_METHODS[method]) {
+            throw new ArgumentTypeError(
+                method,
+                Object.keys(CORRELATION_METHODS).join(" | ")
+            );
+        }
+        return CORRELATION_METHODS[method](
+            ...this._numberPairs(columnName, otherColumnName)
+        );
+    }
+
+    /**
+     * Compute the correlations between each pair of numeric columns, on the rows where both have a numerical value.
+     * @param {Array} [columnNames] The columns to evaluate. By default, the columns typed as number in the schema
+     * or containing only numbers.
+     * @param {String} [method='pearson'] The correlation coefficient, as for .corr().
+     * @returns {DataFrame} A square DataFrame with a column "column" labelling the rows, then a column per evaluated column.
+     * @example
+     * df.stat.corrMatrix()
+     * df.stat.corrMatrix(['column1', 'column2', 'column3'], 'kendall')
+     */
+    corrMatrix(columnNames, method = "pearson") {
+        const columns = columnNames
+            ? [].concat(columnNames)
+            : this._numericColumns();
+        // The matrix is symmetric: each pair is computed once.
+        const correlations = columns.map(() => []);
+        columns.forEach((column, i) => {
+            for (let j = i; j < columns.length; j++) {
+                correlations[i][j] = this.corr(column, columns[j], method);
+                correlations[j][i] = correlations[i][j];
+            }
+        });
+        return this.df.__newInstance__(
+            columns.map((column, index) => [column, ...correlations[index]]),
+            ["column", ...columns],
+            {}
+        );
+    }
+
+    /**
+     * Count the values of a numeric column by bins, as for .cut(): bins include their start and exclude their end,
+     * except the last one. Non-numerical values and values outside of the edges are ignored.
+     * @param {String} columnName The column to evaluate, containing Numbers.
+     * @param {Object} [options={}] The bins definition.
+     * @param {Number} [options.bins=10] The number of bins of equal width, from the minimal to the maximal value.
+     * @param {Array} [options.binEdges] The increasing edges of the bins, used instead of options.bins.
+     * @returns {DataFrame} A DataFrame with a row per bin, giving its start, end and count.
+     * @example
+     * df.stat.histogram('column1')
+     * df.stat.histogram('column1', { bins: 20 })
+     * df.stat.histogram('column1', { binEdges: [0, 10, 100, 1000] })
+     */
+    histogram(columnName, { bins = 10, binEdges } = {}) {
+        let edges = binEdges;
+        if (!edges) {
+            if (!(Number.isInteger(bins) && bins > 0)) {
+                throw new ArgumentTypeError(bins, "positive Integer");
+            }
+            const numbers = this._numbers(columnName);
+            if (numbers.length === 0) {
+                return this.df.__newInstance__([], HISTOGRAM_COLUMNS, {});
+            }
+            let [min, max] = numbers.reduce(
+                ([p, n], number) => [Math.min(p, number), Math.max(n, number)],
+                [Infinity, -Infinity]
+            );
+            if (min === max) [min, max] = [min - 0.5, max + 0.5];
+            edges = [
+                ...range(bins).map(index => min + ((max - min) * index) / bins),
+                max
+            ];
+        }
+        const counts = Array(edges.length - 1).fill(0);
+        this.df._binIndexes(columnName, edges).forEach(index => {
+            if (index !== -1) counts[index]++;
+        });
+        return this.df.__newInstance__(
+            counts.map((count, index) => [
+                edges[index],
+                edges[index + 1],
+                count
+            ]),
+            HISTOGRAM_COLUMNS,
+            {}
+        );
+    }
+
     /**
      * Compute all the stats available with the Stat module on a numeric column.
      * @param {String} columnName The column to evaluate, containing Numbers.
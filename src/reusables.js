@@ -12,6 +12,14 @@ export function isNumber(x) {
     return !isNaN(parseFloat(x)) && isFinite(x);
 }
 
+export function isPlainObject(x) {
+    return (
+        x !== null &&
+        typeof x === "object" &&
+        Object.getPrototypeOf(x) === Object.prototype
+    );
+}
+
 export function arrayEqual(a, b, byOrder = false) {
     return byOrder
         ? Object.keys(a)
@@ -29,6 +37,22 @@ export function transpose(table) {
     );
 }
 
+export function range(length) {
+    const indexes = Array(length);
+    for (let i = 0; i < length; i++) {
+        indexes[i] = i;
+    }
+    return indexes;
+}
+
+export function pick(values, indexes) {
+    const picked = Array(indexes.length);
+    for (let i = 0; i < indexes.length; i++) {
+        picked[i] = values[indexes[i]];
+    }
+    return picked;
+}
+
 export function* makeGenerator(x) {
     yield* x;
 }
@@ -0,0 +1,244 @@
+import { isNumber, range } from "./reusables";
+import { ArgumentTypeError } from "./errors";
+
+// Aggregators follow the window: add(value, index), remove(value, index).
+function sumAggregator() {
+    let sum = 0;
+    return {
+        add: value => (sum += value),
+        remove: value => (sum -= value),
+        value: () => sum
+    };
+}
+
+function meanAggregator() {
+    const sum = sumAggregator();
+    return { ...sum, value: count => sum.value() / count };
+}
+
+// Welford algorithm, reversed to remove values.
+function varAggregator(population) {
+    let [count, mean, squares] = [0, 0, 0];
+    return {
+        add: value => {
+            count++;
+            const delta = value - mean;
+            mean += delta / count;
+            squares += delta * (value - mean);
+        },
+        remove: value => {
+            count--;
+            if (count === 0) {
+                [mean, squares] = [0, 0];
+                return;
+            }
+            const delta = value - mean;
+            mean -= delta / count;
+            squares -= delta * (value - mean);
+        },
+        value: () =>
+            count - (population ? 0 : 1) > 0
+                ? Math.max(squares, 0) / (count - (population ? 0 : 1))
+                : undefined
+    };
+}
+
+// Monotonic queue of indexes: the first one always holds the extremum.
+function extremumAggregator(isBetter) {
+    const [indexes, values] = [[], []];
+    let head = 0;
+    return {
+        add: (value, index) => {
+            while (
+                indexes.length > head &&
+                !isBetter(values[values.length - 1], value)
+            ) {
+                indexes.pop();
+                values.pop();
+            }
+            indexes.push(index);
+            values.push(value);
+        },
+        remove: (value, index) => {
+            if (indexes[head] === index) head++;
+        },
+        value: () => values[head]
+    };
+}
+
+/**
+ * Rolling or expanding window moving over the values of a column, given by DataFrame.rolling() or DataFrame.expanding().
+ * Each method returns an Array of values, one per row. Values which are not numbers are ignored,
+ * and windows with less numbers than minPeriods give undefined.
+ */
+class Rolling {
+    /**
+     * Create a Rolling window. Used in DataFrame.rolling() and DataFrame.expanding().
+     * @param {Array} partitions The [values, indexes] of each partition, indexes giving the rows of the values.
+     * @param {Number} count The number of rows.
+     * @param {Object} options The window definition.
+     * @param {Number} [options.windowSize] The number of rows in each window. Windows expand from the first row if not given.
+     * @param {Number} [options.minPeriods] The minimal number of values in a window. The window size by default, 1 for expanding windows.
+     * @param {Boolean} [options.center=false] Center the windows on their row instead of ending them on it.
+     * @example
+     * new Rolling([[df.toArray('price'), [0, 1, 2]]], 3, { windowSize: 2 })
+     */
+    constructor(partitions, count, { windowSize, minPeriods, center = false }) {
+        if (
+            windowSize !== undefined &&
+            !(Number.isInteger(windowSize) && windowSize > 0)
+        ) {
+            throw new ArgumentTypeError(windowSize, "positive Integer");
+        }
+        this.partitions = partitions;
+        this.count = count;
+        this.windowSize = windowSize;
+        this.minPeriods =
+            minPeriods !== undefined
+                ? minPeriods
+                : windowSize !== undefined
+                ? windowSize
+                : 1;
+        this.center = center;
+    }
+
+    // Give the [start, end[ bounds of each window. Both only move forward.
+    _bounds(length) {
+        if (this.windowSize === undefined) {
+            return range(length).map(index => [0, index + 1]);
+        }
+        const after = this.center ? Math.ceil(this.windowSize / 2) - 1 : 0;
+        return range(length).map(index => [
+            Math.max(0, index + after - this.windowSize + 1),
+            Math.min(length, index + after + 1)
+        ]);
+    }
+
+    _compute(func) {
+        const results = Array(this.count).fill(undefined);
+        for (const [values, indexes] of this.partitions) {
+            const numbers = values.map(value =>
+                isNumber(value) ? Number(value) : undefined
+            );
+            func(numbers, this._bounds(numbers.length)).forEach(
+                (result, i) => {
+                    results[indexes[i]] = result;
+                }
+            );
+        }
+        return results;
+    }
+
+    _aggregate(createAggregator) {
+        return this._compute((numbers, bounds) => {
+            const aggregator = createAggregator();
+            let [start, end, count] = [0, 0, 0];
+            return bounds.map(([windowStart, windowEnd]) => {
+                for (; end < windowEnd; end++) {
+                    if (numbers[end] === undefined) continue;
+                    aggregator.add(numbers[end], end);
+                    count++;
+                }
+                for (; start < windowStart; start++) {
+                    if (numbers[start] === undefined) continue;
+                    aggregator.remove(numbers[start], start);
+                    count--;
+                }
+                return count > 0 && count >= this.minPeriods
+                    ? aggregator.value(count)
+                    : undefined;
+            });
+        });
+    }
+
+    /**
+     * Compute the sum of each window.
+     * @returns {Array} The sums.
+     * @example
+     * df.rolling('price', 3).sum()
+     */
+    sum() {
+        return this._aggregate(sumAggregator);
+    }
+
+    /**
+     * Compute the mean of each window.
+     * @returns {Array} The means.
+     * @example
+     * df.rolling('price', 3).mean()
+     */
+    mean() {
+        return this._aggregate(meanAggregator);
+    }
+
+    /**
+     * Compute the minimal value of each window.
+     * @returns {Array} The minimal values.
+     * @example
+     * df.rolling('price', 3).min()
+     */
+    min() {
+        return this._aggregate(() =>
+            extremumAggregator((previous, value) => previous < value)
+        );
+    }
+
+    /**
+     * Compute the maximal value of each window.
+     * @returns {Array} The maximal values.
+     * @example
+     * df.rolling('price', 3).max()
+     */
+    max() {
+        return this._aggregate(() =>
+            extremumAggregator((previous, value) => previous > value)
+        );
+    }
+
+    /**
+     * Compute the variance of each window.
+     * @param {Boolean} [population=false] Population mode. If true, provide the population variance, not the sample one.
+     * @returns {Array} The variances.
+     * @example
+     * df.rolling('price', 3).var()
+     */
+    var(population = false) {
+        return this._aggregate(() => varAggregator(population));
+    }
+
+    /**
+     * Compute the standard deviation of each window.
+     * @param {Boolean} [population=false] Population mode. If true, provide the population standard deviation, not the sample one.
+     * @returns {Array} The standard deviations.
+     * @example
+     * df.rolling('price', 3).sd()
+     */
+    sd(population = false) {
+        return this.var(population).map(variance =>
+            variance === undefined ? undefined : Math.sqrt(variance)
+        );
+    }
+
+    /**
+     * Compute a custom value from the numbers of each window. It reads the whole window at each row.
+     * @param {Function} func The function taking the Array of window numbers.
+     * @returns {Array} The computed values.
+     * @example
+     * df.rolling('price', 3).apply(prices => prices[prices.length - 1] - prices[0])
+     */
+    apply(func) {
+        return this._compute((numbers, bounds) =>
+            bounds.map(([start, end]) => {
+                const windowNumbers = numbers
+                    .slice(start, end)
+                    .filter(number => number !== undefined);
+                return windowNumbers.length > 0 &&
+                    windowNumbers.length >= this.minPeriods
+                    ? func(windowNumbers)
+                    : undefined;
+            })
+        );
+    }
+}
+
+export default Rolling;
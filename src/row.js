@@ -54,19 +54,19 @@ class Row {
     }
 
     _fromObject(object) {
-        return Object.assign(
-            {},
-            ...this[__columns__].map(column => ({ [column]: object[column] }))
-        );
+        const values = {};
+        for (const column of this[__columns__]) {
+            values[column] = object[column];
+        }
+        return values;
     }
 
     _fromArray(array) {
-        return Object.assign(
-            {},
-            ...Object.entries(this[__columns__]).map(column => ({
-                [column[1]]: array[column[0]]
-            }))
-        );
+        const values = {};
+        for (let i = 0; i < this[__columns__].length; i++) {
+            values[this[__columns__][i]] = array[i];
+        }
+        return values;
     }
 
     /**
@@ -2,5 +2,26 @@ const __columns__ = Symbol("columns");
 const __rows__ = Symbol("rows");
 const __groups__ = Symbol("groups");
 const __hashes__ = Symbol("hashes");
+const __schema__ = Symbol("schema");
+const __data__ = Symbol("data");
+const __count__ = Symbol("count");
+const __rowsView__ = Symbol("rowsView");
+const __plan__ = Symbol("plan");
+const __index__ = Symbol("index");
+const __indexTable__ = Symbol("indexTable");
+const __ownedColumns__ = Symbol("ownedColumns");
 
-export { __columns__, __rows__, __groups__, __hashes__ };
+export {
+    __columns__,
+    __rows__,
+    __groups__,
+    __hashes__,
+    __schema__,
+    __data__,
+    __count__,
+    __rowsView__,
+    __plan__,
+    __index__,
+    __indexTable__,
+    __ownedColumns__
+};
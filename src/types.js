@@ -0,0 +1,95 @@
+import { isNumber } from "./reusables";
+import { ArgumentTypeError } from "./errors";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const CASTERS = {
+    number: value => Number(value),
+    boolean: value => String(value).toLowerCase() === "true",
+    date: value => new Date(value),
+    string: value => String(value)
+};
+
+const CHECKERS = {
+    number: value => typeof value === "number",
+    boolean: value => typeof value === "boolean",
+    date: value => value instanceof Date,
+    string: value => typeof value === "string"
+};
+
+const VALIDATORS = {
+    number: value => isNumber(value),
+    boolean: value => /^(true|false)$/i.test(value),
+    date: value => !Number.isNaN(Date.parse(value)),
+    string: () => true
+};
+
+const TYPES = Object.keys(CASTERS);
+
+function checkType(type) {
+    if (!TYPES.includes(type)) {
+        throw new ArgumentTypeError(type, TYPES.join(" | "));
+    }
+    return type;
+}
+
+function isEmpty(value) {
+    return value === "" || value === null || value === undefined;
+}
+
+function isMissing(value) {
+    return value === null || value === undefined || Number.isNaN(value);
+}
+
+function detectType(value) {
+    if (isNumber(value)) return "number";
+    if (/^(true|false)$/i.test(value)) return "boolean";
+    if (ISO_DATE.test(value) && !Number.isNaN(Date.parse(value))) return "date";
+    return "string";
+}
+
+/**
+ * Infer the type of a column from a sample of its text values.
+ * Empty values are ignored. A column with mixed or no detected types is a string column.
+ * @param {Array} values The column values.
+ * @returns {String} The detected type: number, boolean, date or string.
+ */
+function inferType(values) {
+    const detectedTypes = new Set(
+        values.filter(value => !isEmpty(value)).map(detectType)
+    );
+    return detectedTypes.size === 1 ? [...detectedTypes][0] : "string";
+}
+
+/**
+ * Cast a value into a given type. Empty values become null.
+ * @param value The value to cast.
+ * @param {String} type The type: number, boolean, date or string.
+ * @returns The casted value.
+ */
+function castAs(value, type) {
+    return isEmpty(value) ? null : CASTERS[type](value);
+}
+
+/**
+ * Check if a text value can be cast into a given type, instead of becoming NaN, false or an Invalid Date.
+ * Empty values can be cast into every type.
+ * @param value The value to check.
+ * @param {String} type The type: number, boolean, date or string.
+ * @returns {Boolean} True if the value can be cast.
+ */
+function canCastAs(value, type) {
+    return isEmpty(value) || VALIDATORS[type](value);
+}
+
+/**
+ * Check if a value belongs to a given type. Missing values (undefined, null, NaN) belong to every type.
+ * @param value The value to check.
+ * @param {String} type The type: number, boolean, date or string.
+ * @returns {Boolean} True if the value matches the type.
+ */
+function matchesType(value, type) {
+    return isMissing(value) || CHECKERS[type](value);
+}
+
+export { TYPES, checkType, inferType, castAs, canCastAs, matchesType };
@@ -0,0 +1,321 @@
+import { range, pick } from "./reusables";
+import { ArgumentTypeError } from "./errors";
+import Rolling from "./rolling";
+
+function isMissing(value) {
+    return [NaN, null, undefined].includes(value);
+}
+
+/**
+ * Window over the ordered rows of a partition, given to WindowedDataFrame.withColumn().
+ * Each method returns an Array of values, one per partition row.
+ */
+class Window {
+    /**
+     * Create a Window. Used in WindowedDataFrame.withColumn().
+     * @param {DataFrame} df The ordered rows of the partition.
+     * @param {Array} orderBy The columns ordering the partition.
+     * @example
+     * new Window(df.sortBy('date'), ['date']);
+     */
+    constructor(df, orderBy) {
+        this.df = df;
+        this.orderBy = orderBy;
+    }
+
+    _shift(columnName, offset, defaultValue) {
+        const values = this.df._columnValues(columnName);
+        return range(values.length).map(index =>
+            index - offset >= 0 && index - offset < values.length
+                ? values[index - offset]
+                : defaultValue
+        );
+    }
+
+    _cumulate(columnName, func) {
+        let accumulator;
+        return this.df._columnValues(columnName).map(value => {
+            if (!isMissing(value)) {
+                accumulator =
+                    accumulator === undefined
+                        ? value
+                        : func(accumulator, value);
+            }
+            return accumulator;
+        });
+    }
+
+    // Rows sharing their orderBy values (peers) get the same rank.
+    _ranks(dense) {
+        const hashes = this.df._joinKeys(this.orderBy);
+        let rank = 0;
+        return hashes.map((hash, index) => {
+            if (index === 0 || hash !== hashes[index - 1]) {
+                rank = dense ? rank + 1 : index + 1;
+            }
+            return rank;
+        });
+    }
+
+    /**
+     * Get the value of a previous row.
+     * @param {String} columnName The column to read.
+     * @param {Number} [offset=1] The number of rows before the current one.
+     * @param [defaultValue=undefined] The value used when there is no such row.
+     * @returns {Array} The previous values.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('previousPrice', w => w.lag('price'))
+     */
+    lag(columnName, offset = 1, defaultValue = undefined) {
+        return this._shift(columnName, offset, defaultValue);
+    }
+
+    /**
+     * Get the value of a next row.
+     * @param {String} columnName The column to read.
+     * @param {Number} [offset=1] The number of rows after the current one.
+     * @param [defaultValue=undefined] The value used when there is no such row.
+     * @returns {Array} The next values.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('nextPrice', w => w.lead('price'))
+     */
+    lead(columnName, offset = 1, defaultValue = undefined) {
+        return this._shift(columnName, -offset, defaultValue);
+    }
+
+    /**
+     * Number the rows from 1, in the partition order.
+     * @returns {Array} The row numbers.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'}).withColumn('n', w => w.rowNumber())
+     */
+    rowNumber() {
+        return range(this.df.count()).map(index => index + 1);
+    }
+
+    /**
+     * Rank the rows by their orderBy values. Rows with the same values get the same rank, leaving gaps after them.
+     * @returns {Array} The ranks, from 1.
+     * @example
+     * df.window({orderBy: 'score', reverse: true}).withColumn('rank', w => w.rank())
+     */
+    rank() {
+        return this._ranks(false);
+    }
+
+    /**
+     * Rank the rows by their orderBy values. Rows with the same values get the same rank, without gaps after them.
+     * @returns {Array} The ranks, from 1.
+     * @example
+     * df.window({orderBy: 'score', reverse: true}).withColumn('rank', w => w.denseRank())
+     */
+    denseRank() {
+        return this._ranks(true);
+    }
+
+    /**
+     * Give the relative rank of the rows: (rank - 1) / (rows - 1), from 0 to 1.
+     * @returns {Array} The relative ranks.
+     * @example
+     * df.window({orderBy: 'score'}).withColumn('percentRank', w => w.percentRank())
+     */
+    percentRank() {
+        const count = this.df.count();
+        return this._ranks(false).map(rank =>
+            count > 1 ? (rank - 1) / (count - 1) : 0
+        );
+    }
+
+    /**
+     * Move a window of rows over a column of the partition, to compute moving means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Number} windowSize The number of rows in each window.
+     * @param {Object} [options={}] minPeriods and center, as for DataFrame.rolling().
+     * @returns {Rolling} A Rolling object computing the values of the partition.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('movingAverage', w => w.rolling('price', 7).mean())
+     */
+    rolling(columnName, windowSize, options = {}) {
+        const values = this.df._columnValues(columnName);
+        return new Rolling([[values, range(values.length)]], values.length, {
+            ...options,
+            windowSize
+        });
+    }
+
+    /**
+     * Expand a window from the first row of the partition over a column, to compute cumulative means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Object} [options={}] minPeriods, as for DataFrame.expanding().
+     * @returns {Rolling} A Rolling object computing the values of the partition.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('averageUntilNow', w => w.expanding('price').mean())
+     */
+    expanding(columnName, { minPeriods } = {}) {
+        const values = this.df._columnValues(columnName);
+        return new Rolling([[values, range(values.length)]], values.length, {
+            minPeriods
+        });
+    }
+
+    /**
+     * Sum the values from the first row to the current one. Missing values are ignored.
+     * @param {String} columnName The column to sum.
+     * @returns {Array} The cumulative sums.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('total', w => w.cumSum('amount'))
+     */
+    cumSum(columnName) {
+        return this._cumulate(columnName, (sum, value) => sum + value);
+    }
+
+    /**
+     * Give the maximum value from the first row to the current one. Missing values are ignored.
+     * @param {String} columnName The column to read.
+     * @returns {Array} The cumulative maximums.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('highest', w => w.cumMax('price'))
+     */
+    cumMax(columnName) {
+        return this._cumulate(columnName, (max, value) =>
+            value > max ? value : max
+        );
+    }
+
+    /**
+     * Give the minimum value from the first row to the current one. Missing values are ignored.
+     * @param {String} columnName The column to read.
+     * @returns {Array} The cumulative minimums.
+     * @example
+     * df.window({orderBy: 'date'}).withColumn('lowest', w => w.cumMin('price'))
+     */
+    cumMin(columnName) {
+        return this._cumulate(columnName, (min, value) =>
+            value < min ? value : min
+        );
+    }
+}
+
+/**
+ * DataFrame split into ordered partitions, to compute columns from neighbouring rows.
+ * Partitions gather the rows sharing their partitionBy values, ordered as with DataFrame.sortBy().
+ */
+class WindowedDataFrame {
+    /**
+     * Create a WindowedDataFrame. Used in DataFrame.window().
+     * @param {DataFrame} df The DataFrame to split.
+     * @param {Object} [options={}] The window definition.
+     * @param {String | Array} [options.partitionBy=[]] The columns splitting the DataFrame into partitions.
+     * @param {String | Array} [options.orderBy=[]] The columns ordering each partition.
+     * @param {Boolean} [options.reverse=false] Reverse the partitions order.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'});
+     * //or
+     * window(df, {partitionBy: 'id', orderBy: 'date'});
+     */
+    constructor(df, { partitionBy = [], orderBy = [], reverse = false } = {}) {
+        this.df = df;
+        this.partitionBy = [].concat(partitionBy);
+        this.orderBy = [].concat(orderBy);
+        this.reverse = reverse;
+    }
+
+    // Give each ordered partition with the DataFrame positions of its rows.
+    _partitions() {
+        const positionsByKey = new Map();
+        if (this.partitionBy.length > 0) {
+            this.df._joinKeys(this.partitionBy).forEach((key, position) => {
+                if (!positionsByKey.has(key)) positionsByKey.set(key, []);
+                positionsByKey.get(key).push(position);
+            });
+        } else {
+            positionsByKey.set("", range(this.df.count()));
+        }
+        return [...positionsByKey.values()].map(positions => {
+            const partition = this.df.__subset__(positions);
+            if (this.orderBy.length === 0) return [partition, positions];
+            const order = partition._sortedIndexes(
+                this.orderBy,
+                this.reverse,
+                "first"
+            );
+            return [partition.__subset__(order), pick(positions, order)];
+        });
+    }
+
+    _columnPartitions(columnName) {
+        return this._partitions().map(([partition, positions]) => [
+            partition._columnValues(columnName),
+            positions
+        ]);
+    }
+
+    /**
+     * Add a new column or set an existing one from the window of each partition.
+     * Rows keep the DataFrame order.
+     * @param {String} columnName The column to modify or to create.
+     * @param {Function} func The function creating the column values of a partition from its Window, as an Array of one value by partition row.
+     * @returns {DataFrame} A new DataFrame containing the new or modified column.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'}).withColumn('previousPrice', w => w.lag('price'))
+     * df.window({orderBy: 'score', reverse: true}).withColumn('rank', w => w.rank())
+     */
+    withColumn(columnName, func) {
+        const values = Array(this.df.count());
+        for (const [partition, positions] of this._partitions()) {
+            const partitionValues = func(new Window(partition, this.orderBy));
+            if (
+                !Array.isArray(partitionValues) ||
+                partitionValues.length !== positions.length
+            ) {
+                throw new ArgumentTypeError(
+                    partitionValues,
+                    `an Array of ${positions.length} values, one by partition row`
+                );
+            }
+            positions.forEach((position, i) => {
+                values[position] = partitionValues[i];
+            });
+        }
+        return this.df._withColumnValues(columnName, values);
+    }
+
+    /**
+     * Move a window of rows over a column of each partition, to compute moving means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Number} windowSize The number of rows in each window.
+     * @param {Object} [options={}] minPeriods and center, as for DataFrame.rolling().
+     * @returns {Rolling} A Rolling object giving one value per row, in the DataFrame order.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'}).rolling('price', 7).mean()
+     */
+    rolling(columnName, windowSize, options = {}) {
+        return new Rolling(
+            this._columnPartitions(columnName),
+            this.df.count(),
+            { ...options, windowSize }
+        );
+    }
+
+    /**
+     * Expand a window from the first row of each partition over a column, to compute cumulative means, sums...
+     * @param {String} columnName The column to read.
+     * @param {Object} [options={}] minPeriods, as for DataFrame.expanding().
+     * @returns {Rolling} A Rolling object giving one value per row, in the DataFrame order.
+     * @example
+     * df.window({partitionBy: 'id', orderBy: 'date'}).expanding('price').max()
+     */
+    expanding(columnName, { minPeriods } = {}) {
+        return new Rolling(
+            this._columnPartitions(columnName),
+            this.df.count(),
+            { minPeriods }
+        );
+    }
+}
+
+function window(df, options) {
+    return new WindowedDataFrame(df, options);
+}
+
+export { window, Window, WindowedDataFrame };
@@ -0,0 +1,58 @@
+import { DataFrame } from "../../src/index";
+// The last row-based release, pinned so that rebuilding lib/ doesn't change the reference.
+import { DataFrame as RowDataFrame } from "dataframe-js-row";
+
+const SIZE = Number(process.env.BENCH_SIZE) || 100000;
+
+const collection = [...Array(SIZE).keys()].map(i => ({
+    id: i,
+    name: `name${i % 1000}`,
+    value: String((i * 7) % 997),
+    score: (i * 13) % 101
+}));
+
+const operations = {
+    create: (Df, data) => new Df(data),
+    select: (Df, data, df) => df.select("id", "score"),
+    cast: (Df, data, df) => df.cast("value", Number),
+    withColumn: (Df, data, df) =>
+        df.withColumn("double", row => row.get("score") * 2),
+    drop: (Df, data, df) => df.drop("name"),
+    rename: (Df, data, df) => df.rename("score", "points"),
+    filter: (Df, data, df) => df.filter(row => row.get("score") > 50),
+    sortBy: (Df, data, df) => df.sortBy("score"),
+    slice: (Df, data, df) => df.slice(100, SIZE - 100),
+    toDict: (Df, data, df) => df.toDict()
+};
+
+function time(func) {
+    const start = process.hrtime();
+    func();
+    const [seconds, nanoseconds] = process.hrtime(start);
+    return seconds * 1e3 + nanoseconds / 1e6;
+}
+
+function bench(Df) {
+    return Object.entries(operations).map(([name, operation]) => {
+        // Warm up on a small sample, then time on a fresh DataFrame so cached row views are not reused.
+        operation(Df, collection.slice(0, 1000), new Df(collection.slice(0, 1000)));
+        const df = new Df(collection);
+        return [name, time(() => operation(Df, collection, df))];
+    });
+}
+
+const rowTimings = bench(RowDataFrame);
+const columnTimings = bench(DataFrame);
+
+console.log(`DataFrame benchmarks on ${SIZE} rows (ms):`);
+new DataFrame(
+    rowTimings.map(([name, rowTiming], index) => {
+        const columnTiming = columnTimings[index][1];
+        return {
+            operation: name,
+            rows: rowTiming.toFixed(1),
+            columns: columnTiming.toFixed(1),
+            speedup: `x${(rowTiming / columnTiming).toFixed(1)}`
+        };
+    })
+).show(operations.length);
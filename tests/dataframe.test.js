@@ -251,6 +251,571 @@ test("DataFrame columns can't be ", (assert) => {
     );
 });
 
+test("DataFrame columns can be binned", (assert) => {
+    const df = new DataFrame(
+        {
+            id: [1, 2, 3, 4, 5, 6, 7, 8],
+            age: [5, 18, 30, 64, 65, 120, undefined, "unknown"]
+        },
+        ["id", "age"]
+    );
+
+    assert.deepEqual(
+        df.cut("age", [0, 18, 65, 120]).toArray("ageBin"),
+        [
+            "[0, 18)",
+            "[18, 65)",
+            "[18, 65)",
+            "[18, 65)",
+            "[65, 120]",
+            "[65, 120]",
+            undefined,
+            undefined
+        ],
+        "cut into bins including their start, and the end of the last one."
+    );
+
+    assert.deepEqual(
+        df
+            .cut("age", [18, 65], ["adult"], "ageGroup")
+            .groupBy("ageGroup")
+            .aggregate((group) => group.count())
+            .toArray(),
+        [
+            [undefined, 4],
+            ["adult", 4]
+        ],
+        "cut into labelled bins, ignoring values outside of the edges."
+    );
+
+    assert.deepEqual(
+        df.qcut("age", 2, ["low", "high"]).toArray("ageBin"),
+        ["low", "low", "low", "high", "high", "high", undefined, undefined],
+        "cut into quantile bins."
+    );
+
+    assert.deepEqual(
+        new DataFrame({ value: [1, 1, 1, 1, 2] }, ["value"])
+            .qcut("value", 4)
+            .toArray("valueBin"),
+        ["[1, 2]", "[1, 2]", "[1, 2]", "[1, 2]", "[1, 2]"],
+        "cut into quantile bins, merging duplicated edges."
+    );
+
+    assert.deepEqual(
+        [
+            tryCatch(() =>
+                new DataFrame({ value: [2, 2, "2"] }, ["value"]).qcut(
+                    "value",
+                    4
+                )
+            ).name,
+            tryCatch(() =>
+                new DataFrame({ value: [null, "a"] }, ["value"]).qcut(
+                    "value",
+                    4
+                )
+            ).name
+        ],
+        ["QuantileBinsError", "QuantileBinsError"],
+        "cut into quantile bins without 2 distinct edges, throwing an error."
+    );
+
+    assert.is(
+        tryCatch(() => df.cut("age", [0, 65, 18])).name,
+        "ArgumentTypeError",
+        "cut with edges which are not increasing, throwing ArgumentTypeError."
+    );
+
+    assert.is(
+        tryCatch(() => df.cut("age", [0, 18, 65], ["young"])).name,
+        "ArgumentTypeError",
+        "cut without a label per bin, throwing ArgumentTypeError."
+    );
+});
+
+test("DataFrame can be pivoted into a pivot table", (assert) => {
+    const df = new DataFrame(
+        [
+            { region: "n", year: 2020, sales: 10, costs: 4 },
+            { region: "n", year: 2021, sales: 20, costs: 5 },
+            { region: "s", year: 2020, sales: 30, costs: 6 },
+            { region: "n", year: 2020, sales: 40, costs: 7 }
+        ],
+        ["region", "year", "sales", "costs"]
+    );
+
+    const pivotTable = df.pivotTable({
+        index: "region",
+        columns: "year",
+        values: "sales",
+        aggfunc: "sum",
+        fillValue: 0,
+        margins: true
+    });
+
+    assert.deepEqual(
+        pivotTable.listColumns(),
+        ["region", 2020, 2021, "All"],
+        "with a column per pivoted value and a margins column."
+    );
+
+    assert.deepEqual(
+        pivotTable.toArray(),
+        [
+            ["n", 50, 20, 70],
+            ["s", 30, 0, 30],
+            ["All", 80, 20, 100]
+        ],
+        "with fill values and margins."
+    );
+
+    assert.deepEqual(
+        df
+            .pivotTable({
+                index: "region",
+                columns: "year",
+                values: ["sales", "costs"],
+                aggfunc: { total: "sum", avg: "mean" }
+            })
+            .toCollection()[0],
+        {
+            region: "n",
+            total_sales_2020: 50,
+            total_sales_2021: 20,
+            avg_sales_2020: 25,
+            avg_sales_2021: 20,
+            total_costs_2020: 11,
+            total_costs_2021: 5,
+            avg_costs_2020: 5.5,
+            avg_costs_2021: 5
+        },
+        "with several value columns and aggregations."
+    );
+
+    assert.deepEqual(
+        df.pivotTable({ index: "region", columns: "year" }).toArray(),
+        [
+            ["n", 2, 1],
+            ["s", 1, undefined]
+        ],
+        "counting rows by default."
+    );
+
+    assert.deepEqual(
+        df
+            .pivotTable({
+                columns: "year",
+                values: "costs",
+                aggfunc: (costs) => Math.max(...costs),
+                margins: true
+            })
+            .toArray(),
+        [[7, 5, 7]],
+        "with a function and without index."
+    );
+
+    assert.is(
+        tryCatch(() => df.pivotTable({ index: "region" })).name,
+        "ArgumentTypeError",
+        "throwing an error without a column to pivot."
+    );
+
+    assert.is(
+        tryCatch(() =>
+            df.pivotTable({ columns: "year", values: "sales", aggfunc: "top" })
+        ).name,
+        "ArgumentTypeError",
+        "throwing an error with an unknown aggregation."
+    );
+});
+
+test("DataFrame can be melted and unmelted", (assert) => {
+    const df = new DataFrame(
+        [
+            { id: 1, name: "a", y2020: 10, y2021: 20 },
+            { id: 2, name: "b", y2020: 30 }
+        ],
+        { id: "number", name: "string", y2020: "number", y2021: "number" }
+    );
+    const longDF = df.melt({ idColumns: ["id", "name"], variableName: "year" });
+
+    assert.deepEqual(
+        longDF.toArray(),
+        [
+            [1, "a", "y2020", 10],
+            [2, "b", "y2020", 30],
+            [1, "a", "y2021", 20],
+            [2, "b", "y2021", undefined]
+        ],
+        "melted by value column, on all the other columns by default."
+    );
+
+    assert.deepEqual(
+        longDF.schema(),
+        { id: "number", name: "string" },
+        "melted keeping the schema of the id columns."
+    );
+
+    assert.deepEqual(
+        df.melt({ idColumns: "id", valueColumns: "y2021" }).toCollection(),
+        [
+            { id: 1, variable: "y2021", value: 20 },
+            { id: 2, variable: "y2021", value: undefined }
+        ],
+        "melted on given value columns."
+    );
+
+    assert.deepEqual(
+        longDF.unmelt({ variableName: "year" }).toCollection(),
+        df.toCollection(),
+        "unmelted back, on all the other columns by default."
+    );
+
+    assert.deepEqual(
+        longDF
+            .filter((row) => row.get("value") !== undefined)
+            .pivotWider({ idColumns: "id", variableName: "year", fillValue: 0 })
+            .toArray(),
+        [
+            [1, 10, 20],
+            [2, 30, 0]
+        ],
+        "unmelted on given id columns, with a fill value."
+    );
+
+    assert.is(
+        tryCatch(() => longDF.union(longDF).unmelt({ variableName: "year" }))
+            .name,
+        "DuplicateKeyError",
+        "throwing an error when unmelting duplicated ids and variables."
+    );
+
+    assert.is(
+        tryCatch(() => df.melt({ valueColumns: ["unknown"] })).name,
+        "NoSuchColumnError",
+        "throwing an error when melting an unknown column."
+    );
+});
+
+test("DataFrame can be exploded and nested", (assert) => {
+    const df = new DataFrame(
+        [
+            { id: 1, tags: ["a", "b"] },
+            { id: 2, tags: [] },
+            { id: 3, tags: "c" }
+        ],
+        ["id", "tags"]
+    );
+
+    assert.deepEqual(
+        df.explode("tags").toArray(),
+        [
+            [1, "a"],
+            [1, "b"],
+            [3, "c"]
+        ],
+        "exploded, dropping empty Arrays and keeping other values."
+    );
+
+    assert.deepEqual(
+        df.explode("tags", { keepEmpty: true }).toArray("id"),
+        [1, 1, 2, 3],
+        "exploded, keeping empty Arrays."
+    );
+
+    assert.deepEqual(
+        df.explode("tags").groupBy("id").nest("tags").toArray(),
+        [
+            [1, ["a", "b"]],
+            [3, ["c"]]
+        ],
+        "nested back into Arrays by group."
+    );
+
+    const orders = new DataFrame(
+        [
+            { order: 1, sku: "x", quantity: 2 },
+            { order: 1, sku: "y", quantity: 1 },
+            { order: 2, sku: "x", quantity: 5 }
+        ],
+        ["order", "sku", "quantity"]
+    );
+    const nestedOrders = orders.nest("order", "items");
+
+    assert.deepEqual(
+        nestedOrders.toCollection(),
+        [
+            {
+                order: 1,
+                items: [
+                    { sku: "x", quantity: 2 },
+                    { sku: "y", quantity: 1 }
+                ]
+            },
+            { order: 2, items: [{ sku: "x", quantity: 5 }] }
+        ],
+        "nested into collections."
+    );
+
+    assert.deepEqual(
+        nestedOrders.explode("items").toArray("items"),
+        [
+            { sku: "x", quantity: 2 },
+            { sku: "y", quantity: 1 },
+            { sku: "x", quantity: 5 }
+        ],
+        "exploded back from collections."
+    );
+
+    assert.deepEqual(
+        orders
+            .nest("order", "items", true)
+            .toArray("items")
+            .map((items) => items.toArray("sku")),
+        [["x", "y"], ["x"]],
+        "nested into DataFrames."
+    );
+
+    assert.is(
+        tryCatch(() => df.explode("unknown")).name,
+        "NoSuchColumnError",
+        "throwing an error when exploding an unknown column."
+    );
+
+    assert.is(
+        tryCatch(() => df.groupBy("id").nest("unknown")).name,
+        "NoSuchColumnError",
+        "throwing an error when nesting an unknown column."
+    );
+});
+
+test("DataFrame can be flattened and unflattened", (assert) => {
+    const df = new DataFrame(
+        [
+            {
+                id: 1,
+                address: { city: "Paris", geo: { lat: 48.8, lng: 2.3 } },
+                tags: ["a"]
+            },
+            { id: 2, address: { city: "Lyon", zip: null } },
+            { id: 3, address: null }
+        ],
+        ["id", "address", "tags"]
+    );
+    const flatDF = df.flatten();
+
+    assert.deepEqual(
+        flatDF.listColumns(),
+        [
+            "id",
+            "address.city",
+            "address.geo.lat",
+            "address.geo.lng",
+            "address.zip",
+            "address",
+            "tags"
+        ],
+        "flattened into dotted columns, in place of the Object columns."
+    );
+
+    assert.deepEqual(
+        flatDF
+            .select("address.city", "address.zip", "address", "tags")
+            .toArray(),
+        [
+            ["Paris", undefined, undefined, ["a"]],
+            ["Lyon", null, undefined, undefined],
+            [undefined, undefined, null, undefined]
+        ],
+        "flattened, keeping other values as they are, null ones included."
+    );
+
+    assert.deepEqual(
+        df
+            .flatten("address", { separator: "_", maxDepth: 1 })
+            .listColumns(),
+        ["id", "address_city", "address_geo", "address_zip", "address", "tags"],
+        "flattened with a separator and a maximal depth."
+    );
+
+    assert.deepEqual(
+        flatDF.unflatten().toCollection(),
+        [
+            {
+                id: 1,
+                address: { city: "Paris", geo: { lat: 48.8, lng: 2.3 } },
+                tags: ["a"]
+            },
+            { id: 2, address: { city: "Lyon", zip: null }, tags: undefined },
+            { id: 3, address: null, tags: undefined }
+        ],
+        "unflattened back into Objects."
+    );
+
+    assert.deepEqual(
+        new DataFrame({ a: [1, 2], "a.b": [undefined, 3] }, ["a", "a.b"])
+            .unflatten()
+            .toArray("a"),
+        [1, { b: 3 }],
+        "unflattened, keeping the values of a column named as the Objects."
+    );
+
+    assert.is(
+        tryCatch(() => df.flatten("unknown")).name,
+        "NoSuchColumnError",
+        "throwing an error when flattening an unknown column."
+    );
+
+    assert.deepEqual(
+        [
+            tryCatch(() =>
+                df.withColumn("address.city", () => "Nice").flatten("address")
+            ).name,
+            tryCatch(() =>
+                new DataFrame([{ a: { "b.c": 1, b: { c: 2 } } }]).flatten()
+            ).name
+        ],
+        ["ColumnCollisionError", "ColumnCollisionError"],
+        "throwing an error when flattened columns take the same name."
+    );
+});
+
+test("DataFrame can be indexed", (assert) => {
+    const users = new DataFrame(
+        [
+            { id: "u1", name: "Ann" },
+            { id: "u2", name: "Bob" },
+            { id: "u3", name: "Cid" }
+        ],
+        ["id", "name"]
+    ).setIndex("id");
+    const orders = new DataFrame(
+        [
+            { order: 1, user: "u2" },
+            { order: 2, user: "u9" },
+            { order: 3, user: "u2" }
+        ],
+        ["order", "user"]
+    );
+
+    assert.is(users.getIndex(), "id", "giving its index column.");
+
+    assert.deepEqual(
+        users.loc("u2").toDict(),
+        { id: "u2", name: "Bob" },
+        "looked up by label."
+    );
+
+    assert.is(users.loc("u9"), undefined, "looked up by an unknown label.");
+
+    assert.deepEqual(
+        users.loc(["u3", "u9", "u1"]).toArray("name"),
+        ["Cid", "Ann"],
+        "looked up by several labels."
+    );
+
+    const sortedUsers = users
+        .filter((row) => row.get("id") !== "u1")
+        .sortBy("name", true);
+
+    assert.deepEqual(
+        [sortedUsers.getIndex(), sortedUsers.loc("u2").get("name")],
+        ["id", "Bob"],
+        "keeping the index through filters and sorts."
+    );
+
+    assert.deepEqual(
+        [
+            users.select("name", "id").getIndex(),
+            users.select("name").getIndex(),
+            users.withColumn("id", () => "u0").getIndex(),
+            users.resetIndex().getIndex()
+        ],
+        ["id", undefined, undefined, undefined],
+        "losing the index without its column values, or by reset."
+    );
+
+    assert.deepEqual(
+        orders.join(users, { left: "user", right: "id" }, "full").toArray(),
+        [
+            [1, "u2", "Bob"],
+            [2, "u9", undefined],
+            [3, "u2", "Bob"],
+            [undefined, "u1", "Ann"],
+            [undefined, "u3", "Cid"]
+        ],
+        "joined on its index."
+    );
+
+    const taggedUsers = new DataFrame(
+        [
+            { id: "u1", tags: ["a", "b"] },
+            { id: "u2", tags: ["c"] }
+        ],
+        ["id", "tags"]
+    ).setIndex("id");
+
+    assert.deepEqual(
+        [
+            taggedUsers.explode("tags").getIndex(),
+            taggedUsers.loc(["u1", "u1"]).getIndex(),
+            taggedUsers.loc(["u2", "u1"]).getIndex()
+        ],
+        [undefined, undefined, "id"],
+        "losing the index when rows are repeated."
+    );
+
+    assert.deepEqual(
+        orders
+            .join(taggedUsers.explode("tags"), { left: "user", right: "id" })
+            .toArray(),
+        [
+            [1, "u2", "c"],
+            [3, "u2", "c"]
+        ],
+        "joined after repeating rows."
+    );
+
+    const mutatedUsers = users
+        .select("id", "name")
+        .setRowInPlace(0, (row) => row.set("id", "u5"));
+
+    assert.deepEqual(
+        [
+            mutatedUsers.loc("u5").get("name"),
+            mutatedUsers.loc("u1"),
+            users.loc("u1").get("name")
+        ],
+        ["Ann", undefined, "Ann"],
+        "looked up by label after a modification in place."
+    );
+
+    assert.is(
+        users.show(10, true),
+        [
+            "| [id]      | name      |",
+            "------------------------",
+            "| u1        | Ann       |",
+            "| u2        | Bob       |",
+            "| u3        | Cid       |"
+        ].join("\n"),
+        "displayed with its index."
+    );
+
+    assert.is(
+        tryCatch(() => orders.setIndex("user")).name,
+        "DuplicateKeyError",
+        "throwing an error when indexing duplicated values."
+    );
+
+    assert.is(
+        tryCatch(() => orders.loc(1)).name,
+        "NoIndexError",
+        "throwing an error when looking up a label without index."
+    );
+});
+
 test("DataFrame rows can be ", (assert) => {
     const df1 = new DataFrame(
         {
@@ -845,6 +1410,39 @@ test("DataFrame stay immutable when", (assert) => {
         false,
         "modified, even if nothing have changed."
     );
+
+    const selectedDF = df.select("c1", "c2");
+    const renamedDF = df.rename("c1", "renamed");
+    df.setRowInPlace(0, (row) => row.set("c1", 100));
+
+    assert.deepEqual(
+        [selectedDF.toDict().c1, renamedDF.toDict().renamed],
+        [
+            [1, 1, 6],
+            [1, 1, 6]
+        ],
+        "modified in place without altering the DataFrames sharing its columns."
+    );
+
+    assert.deepEqual(
+        [df.toDict().c1, df.getRow(0).get("c1"), df.getRow(3)],
+        [[100, 1, 6], 100, undefined],
+        "modified in place through its columns and its rows."
+    );
+
+    df.setRowInPlace(1, (row) => row.set("c1", 200));
+    const reselectedDF = df.select("c1");
+    df.setRowInPlace(2, (row) => row.set("c1", 300));
+
+    assert.deepEqual(
+        [df.toDict().c1, reselectedDF.toDict().c1, selectedDF.toDict().c1],
+        [
+            [100, 200, 300],
+            [100, 200, 6],
+            [1, 1, 6]
+        ],
+        "modified in place several times without altering the DataFrames derived between the writes."
+    );
 });
 
 test("Empty DataFrame", (assert) => {
@@ -1,6 +1,7 @@
 import test from "ava";
 
 import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
 
 test("DataFrame can be joined", assert => {
     const df = new DataFrame(
@@ -246,3 +247,519 @@ test("DataFrame can be diff", assert => {
         "on multiple columns."
     );
 });
+
+test("DataFrame can be joined with duplicated rows", assert => {
+    const df = new DataFrame(
+        {
+            id: [2, 1, 2, 3],
+            value: ["x", "y", "x", "z"]
+        },
+        ["id", "value"]
+    );
+
+    const dfb = new DataFrame(
+        {
+            id: [1, 2, 4, 2],
+            value2: [10, 20, 40, 20]
+        },
+        ["id", "value2"]
+    );
+
+    assert.deepEqual(
+        df.innerJoin(dfb, "id").toCollection(),
+        [
+            { id: 2, value: "x", value2: 20 },
+            { id: 2, value: "x", value2: 20 },
+            { id: 1, value: "y", value2: 10 },
+            { id: 2, value: "x", value2: 20 },
+            { id: 2, value: "x", value2: 20 }
+        ],
+        "inner, keeping duplicated rows in the left order."
+    );
+
+    assert.deepEqual(
+        df.leftJoin(dfb, "id").toArray(),
+        [
+            [2, "x", 20],
+            [2, "x", 20],
+            [1, "y", 10],
+            [2, "x", 20],
+            [2, "x", 20],
+            [3, "z", undefined]
+        ],
+        "left, keeping duplicated rows in the left order."
+    );
+
+    assert.deepEqual(
+        df.rightJoin(dfb, "id").toArray(),
+        [
+            [1, "y", 10],
+            [2, "x", 20],
+            [2, "x", 20],
+            [4, undefined, 40],
+            [2, "x", 20],
+            [2, "x", 20]
+        ],
+        "right, keeping duplicated rows in the right order."
+    );
+
+    assert.deepEqual(
+        df.fullJoin(dfb, "id").toArray(),
+        [
+            [2, "x", 20],
+            [2, "x", 20],
+            [1, "y", 10],
+            [2, "x", 20],
+            [2, "x", 20],
+            [3, "z", undefined],
+            [4, undefined, 40]
+        ],
+        "full, keeping unmatched right rows at the end."
+    );
+
+    assert.deepEqual(
+        df.diff(dfb, "id").toArray(),
+        [
+            [3, "z", undefined],
+            [4, undefined, 40]
+        ],
+        "diff."
+    );
+});
+
+test("DataFrame can be joined with overlapping columns", assert => {
+    const df = new DataFrame(
+        {
+            id: [1, 2, 3],
+            value: [1.01, 2.01, 3.01],
+            label: ["a", "b", "c"]
+        },
+        { id: "number", value: "number", label: "string" }
+    );
+
+    const dfb = new DataFrame(
+        {
+            id: [1, 2, 4],
+            value: [1.02, 2.02, 4.02]
+        },
+        { id: "number", value: "number" }
+    );
+
+    assert.deepEqual(
+        df.innerJoin(dfb, "id").toCollection(),
+        [
+            { id: 1, value: 1.01, label: "a" },
+            { id: 2, value: 2.01, label: "b" }
+        ],
+        "keeping left values without suffixes."
+    );
+
+    const suffixedDF = df.join(dfb, "id", "full", { suffixes: ["_x", "_y"] });
+
+    assert.deepEqual(
+        suffixedDF.toCollection(),
+        [
+            { id: 1, value_x: 1.01, label: "a", value_y: 1.02 },
+            { id: 2, value_x: 2.01, label: "b", value_y: 2.02 },
+            { id: 3, value_x: 3.01, label: "c", value_y: undefined },
+            { id: 4, value_x: undefined, label: undefined, value_y: 4.02 }
+        ],
+        "with suffixes."
+    );
+
+    assert.deepEqual(
+        suffixedDF.schema(),
+        {
+            id: "number",
+            value_x: "number",
+            label: "string",
+            value_y: "number"
+        },
+        "with suffixes, keeping column types."
+    );
+
+    assert.deepEqual(
+        [
+            df.leftJoin(dfb, "id", { suffixes: ["", "_right"] }),
+            df.rightJoin(dfb, "id", { suffixes: ["_left", ""] }),
+            df.fullJoin(dfb, ["id", "value"], { suffixes: ["_x", "_y"] }),
+            df.outerJoin(dfb, "id", { suffixes: ["_x", "_y"] })
+        ].map(joinedDF => joinedDF.listColumns()),
+        [
+            ["id", "value", "label", "value_right"],
+            ["id", "value_left", "label", "value"],
+            ["id", "value", "label"],
+            ["id", "value_x", "label", "value_y"]
+        ],
+        "with suffixes from all join modes."
+    );
+
+    assert.is(
+        tryCatch(() => df.innerJoin(dfb, "id", { raiseOnCollision: true }))
+            .name,
+        "ColumnCollisionError",
+        "raising on collisions."
+    );
+
+    assert.is(
+        tryCatch(() => df.innerJoin(dfb, "id", { suffixes: ["_x", "_x"] }))
+            .name,
+        "ColumnCollisionError",
+        "raising on collisions remaining after suffixes."
+    );
+
+    assert.is(
+        df.join(dfb, ["id", "value"], "inner", { raiseOnCollision: true })
+            .count(),
+        0,
+        "without collisions on join columns."
+    );
+});
+
+test("DataFrame can be joined on differently named columns", assert => {
+    const users = new DataFrame(
+        {
+            user_id: [1, 2, 3],
+            name: ["Alice", "Bob", "Carol"]
+        },
+        ["user_id", "name"]
+    );
+
+    const orders = new DataFrame(
+        {
+            id: [2, 1, 2, 4],
+            amount: [20, 10, 25, 40]
+        },
+        ["id", "amount"]
+    );
+
+    assert.deepEqual(
+        users.join(orders, { left: ["user_id"], right: ["id"] }).toCollection(),
+        users
+            .join(orders.rename("id", "user_id"), "user_id")
+            .toCollection(),
+        "like after renaming the key columns."
+    );
+
+    assert.deepEqual(
+        users.fullJoin(orders, { left: "user_id", right: "id" }).toArray(),
+        [
+            [1, "Alice", 10],
+            [2, "Bob", 20],
+            [2, "Bob", 25],
+            [3, "Carol", undefined],
+            [4, undefined, 40]
+        ],
+        "with keys of unmatched rows taken from the joined DataFrame."
+    );
+
+    assert.deepEqual(
+        [
+            users.leftJoin(orders, { left: "user_id", right: "id" }),
+            users.rightJoin(orders, { left: "user_id", right: "id" }),
+            users.outerJoin(orders, { left: "user_id", right: "id" }),
+            users.innerJoin(orders, { left: "user_id", right: "id" }),
+            users.diff(orders, { left: "user_id", right: "id" })
+        ].map(df => df.count()),
+        [4, 4, 5, 3, 2],
+        "from all join modes."
+    );
+
+    assert.deepEqual(
+        users
+            .withColumn("id", () => 0)
+            .join(
+                orders,
+                { left: "user_id", right: "id" },
+                "inner",
+                { suffixes: ["_x", "_y"] }
+            )
+            .listColumns(),
+        ["user_id", "name", "id", "amount"],
+        "without collisions between the joined keys and the other columns."
+    );
+
+    assert.is(
+        tryCatch(() =>
+            users.join(orders, { left: ["user_id", "name"], right: ["id"] })
+        ).name,
+        "ArgumentTypeError",
+        "with a different number of columns on both sides."
+    );
+});
+
+test("DataFrame can be semi, anti and cross joined", assert => {
+    const df = new DataFrame(
+        {
+            id: [1, 2, 3, 2],
+            value: ["a", "b", "c", "d"]
+        },
+        { id: "number", value: "string" }
+    );
+
+    const dfb = new DataFrame(
+        {
+            key: [2, 2, 4],
+            value: [20, 21, 40]
+        },
+        ["key", "value"]
+    );
+
+    assert.deepEqual(
+        df.semiJoin(dfb, { left: "id", right: "key" }).toArray(),
+        [
+            [2, "b"],
+            [2, "d"]
+        ],
+        "semi, keeping each matched row once."
+    );
+
+    assert.deepEqual(
+        df.antiJoin(dfb.rename("key", "id"), "id").toArray(),
+        [
+            [1, "a"],
+            [3, "c"]
+        ],
+        "anti."
+    );
+
+    assert.deepEqual(
+        [
+            df.join(dfb, { left: "id", right: "key" }, "semi").schema(),
+            df.join(dfb, { left: "id", right: "key" }, "anti").count()
+        ],
+        [{ id: "number", value: "string" }, 2],
+        "semi and anti from join, keeping the schema."
+    );
+
+    const smallDF = df.slice(0, 2);
+
+    assert.deepEqual(
+        smallDF.crossJoin(dfb, { suffixes: ["_x", "_y"] }).toArray(),
+        [
+            [1, "a", 2, 20],
+            [1, "a", 2, 21],
+            [1, "a", 4, 40],
+            [2, "b", 2, 20],
+            [2, "b", 2, 21],
+            [2, "b", 4, 40]
+        ],
+        "cross."
+    );
+
+    assert.deepEqual(
+        smallDF.join(dfb, [], "cross", { suffixes: ["_x", "_y"] }).listColumns(),
+        ["id", "value_x", "key", "value_y"],
+        "cross from join."
+    );
+
+    assert.is(
+        tryCatch(() => df.crossJoin(dfb, { maxRows: 10 })).name,
+        "TooManyRowsError",
+        "cross, throwing when there are more rows than maxRows."
+    );
+});
+
+test("DataFrame can be joined on conditions", assert => {
+    const events = new DataFrame(
+        {
+            event: ["e1", "e2", "e3", "e4", "e5"],
+            ts: [5, 12, 1, 20, undefined]
+        },
+        ["event", "ts"]
+    );
+
+    const windows = new DataFrame(
+        {
+            window: ["w1", "w2", "w3"],
+            start: [10, 0, 4],
+            end: [20, 5, 8]
+        },
+        ["window", "start", "end"]
+    );
+
+    const range = { left: "ts", right: ["start", "end"] };
+    const between = (event, window) =>
+        event.get("ts") >= window.get("start") &&
+        event.get("ts") <= window.get("end");
+
+    assert.deepEqual(
+        events.joinWhere(windows, range).toArray(),
+        [
+            ["e1", 5, "w2", 0, 5],
+            ["e1", 5, "w3", 4, 8],
+            ["e2", 12, "w1", 10, 20],
+            ["e3", 1, "w2", 0, 5],
+            ["e4", 20, "w1", 10, 20]
+        ],
+        "inner on a range, with bounds included."
+    );
+
+    assert.deepEqual(
+        ["inner", "left", "right", "full"].map(how =>
+            events.joinWhere(windows, range, how).toArray()
+        ),
+        ["inner", "left", "right", "full"].map(how =>
+            events.joinWhere(windows, between, how).toArray()
+        ),
+        "on a range, as with a condition function."
+    );
+
+    assert.deepEqual(
+        events.joinWhere(windows, range, "left").toArray("window"),
+        ["w2", "w3", "w1", "w2", "w1", undefined],
+        "left on a range, keeping rows with missing values."
+    );
+
+    assert.deepEqual(
+        windows
+            .joinWhere(events, { left: ["start", "end"], right: "ts" })
+            .toArray(),
+        [
+            ["w1", 10, 20, "e2", 12],
+            ["w1", 10, 20, "e4", 20],
+            ["w2", 0, 5, "e1", 5],
+            ["w2", 0, 5, "e3", 1],
+            ["w3", 4, 8, "e1", 5]
+        ],
+        "inner on a reversed range, in both DataFrames order."
+    );
+
+    assert.deepEqual(
+        [
+            events.joinWhere(windows, range, "semi").toArray("event"),
+            events.joinWhere(windows, range, "anti").toArray("event")
+        ],
+        [
+            ["e1", "e2", "e3", "e4"],
+            ["e5"]
+        ],
+        "semi and anti on a range."
+    );
+
+    assert.deepEqual(
+        events
+            .rename("event", "window")
+            .joinWhere(
+                windows,
+                (event, window) => event.get("ts") > window.get("end"),
+                "inner",
+                { suffixes: ["_x", "_y"] }
+            )
+            .toArray(),
+        [
+            ["e2", 12, "w2", 0, 5],
+            ["e2", 12, "w3", 4, 8],
+            ["e4", 20, "w2", 0, 5],
+            ["e4", 20, "w3", 4, 8]
+        ],
+        "inner on a condition function, with suffixes."
+    );
+});
+
+test("DataFrame can't be joined on conditions", assert => {
+    const df = new DataFrame({ id: [1, 2] }, ["id"]);
+
+    assert.is(
+        tryCatch(() => df.joinWhere(df, "id")).name,
+        "ArgumentTypeError",
+        "with something else than a function or a range."
+    );
+
+    assert.is(
+        tryCatch(() => df.joinWhere(df, { left: "id", right: "id" })).name,
+        "ArgumentTypeError",
+        "with a range without start and end columns."
+    );
+
+    assert.is(
+        tryCatch(() => df.joinWhere(df, () => true, "cross")).name,
+        "ArgumentTypeError",
+        "with an unknown mode."
+    );
+});
+
+test("DataFrame can be asof joined", assert => {
+    const trades = new DataFrame(
+        {
+            time: [3, 10, 1, 6, 8],
+            ticker: ["A", "B", "A", "A", "C"],
+            quantity: [100, 200, 300, 400, 500]
+        },
+        ["time", "ticker", "quantity"]
+    );
+
+    const quotes = new DataFrame(
+        {
+            time: [5, 2, 9, 4, 7, 3],
+            ticker: ["A", "A", "B", "B", "A", "A"],
+            price: [50, 20, 90, 40, 70, 30]
+        },
+        { time: "number", ticker: "string", price: "number" }
+    );
+
+    assert.deepEqual(
+        trades.asofJoin(quotes, { on: "time", by: "ticker" }).toArray(),
+        [
+            [3, "A", 100, 30],
+            [10, "B", 200, 90],
+            [1, "A", 300, undefined],
+            [6, "A", 400, 50],
+            [8, "C", 500, undefined]
+        ],
+        "backward, by a column, in the DataFrame order."
+    );
+
+    assert.deepEqual(
+        [
+            trades
+                .asofJoin(quotes, { on: "time", direction: "forward" })
+                .toArray("price"),
+            trades
+                .asofJoin(quotes, { on: "time", direction: "nearest" })
+                .toArray("price")
+        ],
+        [
+            [30, undefined, 20, 70, 90],
+            [30, 90, 20, 50, 70]
+        ],
+        "forward and nearest, taking backward rows on ties."
+    );
+
+    assert.deepEqual(
+        trades
+            .asofJoin(quotes, { on: "time", by: "ticker", tolerance: 1 })
+            .toArray("price"),
+        [30, 90, undefined, 50, undefined],
+        "with a tolerance."
+    );
+
+    const renamedQuotes = quotes.renameAll(["quoteTime", "symbol", "price"]);
+
+    assert.deepEqual(
+        trades
+            .asofJoin(renamedQuotes, {
+                on: { left: "time", right: "quoteTime" },
+                by: { left: "ticker", right: "symbol" }
+            })
+            .toCollection()[0],
+        { time: 3, ticker: "A", quantity: 100, quoteTime: 3, price: 30 },
+        "on differently named columns, keeping both keys."
+    );
+
+    assert.deepEqual(
+        trades
+            .asofJoin(quotes, { on: "time", suffixes: ["_trade", "_quote"] })
+            .listColumns(),
+        ["time", "ticker_trade", "quantity", "ticker_quote", "price"],
+        "with suffixes, keeping one key."
+    );
+
+    assert.is(
+        tryCatch(() =>
+            trades.asofJoin(quotes, { on: "time", direction: "closest" })
+        ).name,
+        "ArgumentTypeError",
+        "throwing on an unknown direction."
+    );
+});
@@ -2,6 +2,7 @@ import test from "ava";
 
 import { groupBy, GroupedDataFrame } from "../src/group";
 import DataFrame from "../src/dataframe";
+import { tryCatch } from "./utils";
 
 test("GroupedDataFrame can be ", assert => {
     const df = new DataFrame(
@@ -164,3 +165,207 @@ test("GroupedDataFrame groups can be ", assert => {
         "aggregated, rendering a DataFrame with a column aggregation."
     );
 });
+
+test("GroupedDataFrame can be aggregated with named aggregations", assert => {
+    const df = new DataFrame(
+        [
+            { shop: "a", customer: "x", amount: 10 },
+            { shop: "b", customer: "x", amount: 5 },
+            { shop: "a", customer: "y", amount: 30 },
+            { shop: "a", customer: "x", amount: undefined },
+            { shop: "b", customer: "z", amount: 15 }
+        ],
+        ["shop", "customer", "amount"]
+    );
+
+    assert.deepEqual(
+        groupBy(df, ["shop"])
+            .agg({
+                total: ["amount", "sum"],
+                avg: ["amount", "mean"],
+                n: "count",
+                amounts: ["amount", "count"],
+                customers: ["customer", values => new Set(values).size],
+                range: (group, groupKey) =>
+                    `${groupKey.shop}: ${group.count()} rows`
+            })
+            .toCollection(),
+        [
+            {
+                shop: "a",
+                total: 40,
+                avg: 20,
+                n: 3,
+                amounts: 2,
+                customers: 2,
+                range: "a: 3 rows"
+            },
+            {
+                shop: "b",
+                total: 20,
+                avg: 10,
+                n: 2,
+                amounts: 2,
+                customers: 2,
+                range: "b: 2 rows"
+            }
+        ],
+        "rendering a DataFrame with a column per aggregation."
+    );
+
+    assert.deepEqual(
+        groupBy(df, ["shop", "customer"])
+            .agg({ median: ["amount", "median"], max: ["amount", "max"] })
+            .toArray(),
+        [
+            ["a", "x", 10, 10],
+            ["b", "x", 5, 5],
+            ["a", "y", 30, 30],
+            ["b", "z", 15, 15]
+        ],
+        "on multiple columns, with Stat module reducers."
+    );
+
+    assert.is(
+        tryCatch(() => groupBy(df, ["shop"]).agg({ n: ["amount", "size"] }))
+            .name,
+        "ArgumentTypeError",
+        "throwing an error with an unknown reducer."
+    );
+
+    assert.is(
+        tryCatch(() => groupBy(df, ["shop"]).agg({ n: ["price", "sum"] }))
+            .name,
+        "NoSuchColumnError",
+        "throwing an error with an unknown column."
+    );
+});
+
+test("GroupedDataFrame can be transformed", assert => {
+    const df = new DataFrame(
+        [
+            { shop: "a", amount: 10 },
+            { shop: "b", amount: 5 },
+            { shop: "a", amount: 30 },
+            { shop: "b", amount: 15 },
+            { shop: "a", amount: 20 }
+        ],
+        ["shop", "amount"]
+    );
+
+    assert.deepEqual(
+        groupBy(df, ["shop"])
+            .transform("centered", group => {
+                const amounts = group.toArray("amount");
+                const mean = amounts.reduce((p, n) => p + n) / amounts.length;
+                return amounts.map(amount => amount - mean);
+            })
+            .toArray(),
+        [
+            ["a", 10, -10],
+            ["b", 5, -5],
+            ["a", 30, 10],
+            ["b", 15, 5],
+            ["a", 20, 0]
+        ],
+        "with a value per row, in the DataFrame order."
+    );
+
+    assert.deepEqual(
+        groupBy(df, ["shop"])
+            .transform("amount", (group, { shop }) =>
+                shop === "a"
+                    ? group.reduce((p, n) => p + n.get("amount"), 0)
+                    : 0
+            )
+            .toArray("amount"),
+        [60, 0, 60, 0, 60],
+        "with a value per group, replacing a column."
+    );
+
+    assert.is(
+        tryCatch(() => groupBy(df, ["shop"]).transform("n", () => [1, 2]))
+            .name,
+        "ArgumentTypeError",
+        "throwing an error when a group doesn't get a value per row."
+    );
+});
+
+test("GroupedDataFrame can be rolled up, cubed and grouped by sets", assert => {
+    const df = new DataFrame(
+        [
+            { year: 2020, shop: "a", amount: 10 },
+            { year: 2020, shop: "b", amount: 5 },
+            { year: 2021, shop: "a", amount: 30 },
+            { year: 2021, shop: "a", amount: 20 }
+        ],
+        ["year", "shop", "amount"]
+    );
+
+    assert.deepEqual(
+        df
+            .rollup("year", "shop")
+            .agg({ total: ["amount", "sum"], n: "count" })
+            .toArray(),
+        [
+            [2020, "a", 0, 10, 1],
+            [2020, "b", 0, 5, 1],
+            [2021, "a", 0, 50, 2],
+            [2020, undefined, 1, 15, 2],
+            [2021, undefined, 1, 50, 2],
+            [undefined, undefined, 3, 65, 4]
+        ],
+        "with subtotals and a grand total by rollup."
+    );
+
+    assert.deepEqual(
+        df
+            .cube("year", "shop")
+            .aggregate(group => group.count())
+            .toCollection()
+            .map(({ year, shop, grouping, aggregation }) => [
+                grouping,
+                year,
+                shop,
+                aggregation
+            ]),
+        [
+            [0, 2020, "a", 1],
+            [0, 2020, "b", 1],
+            [0, 2021, "a", 2],
+            [1, 2020, undefined, 2],
+            [1, 2021, undefined, 2],
+            [2, undefined, "a", 3],
+            [2, undefined, "b", 1],
+            [3, undefined, undefined, 4]
+        ],
+        "with all the combinations of columns by cube."
+    );
+
+    assert.deepEqual(
+        df
+            .groupingSets([["shop"], []])
+            .aggregate(group => group.count(), "n")
+            .listColumns(),
+        ["shop", "grouping", "n"],
+        "with the columns of the grouping sets only."
+    );
+
+    assert.deepEqual(
+        df.rollup("year").listGroups(),
+        [{ year: 2020 }, { year: 2021 }, {}],
+        "listing the groups of each set."
+    );
+
+    assert.is(
+        tryCatch(() => df.groupingSets(["year"])).name,
+        "ArgumentTypeError",
+        "throwing an error when sets aren't Arrays of columns."
+    );
+
+    assert.is(
+        tryCatch(() => df.cube("year", "unknown")).name,
+        "NoSuchColumnError",
+        "throwing an error with an unknown column."
+    );
+});
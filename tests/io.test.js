@@ -1,6 +1,8 @@
 import test from "ava";
 
 import path from "path";
+import os from "os";
+import fs from "fs";
 import { DataFrame } from "../src/index";
 import { tryCatch } from "./utils";
 
@@ -415,3 +417,286 @@ test.cb("DataFrame can't be created from", assert => {
 
     setTimeout(assert.end, 400);
 });
+
+test("DataFrame can be streamed by chunks from", async assert => {
+    const currentPath = path.resolve(__dirname) + "/data";
+
+    const fullDF = await DataFrame.fromCSV(`${currentPath}/Titanic.csv`);
+    const chunks = [];
+    for await (const chunk of DataFrame.streamCSV(
+        `${currentPath}/Titanic.csv`,
+        true,
+        { chunkSize: 10, bufferSize: 64 }
+    )) {
+        chunks.push(chunk);
+    }
+
+    assert.deepEqual(
+        chunks.map(chunk => chunk.count()),
+        [10, 10, 10, 2],
+        "a csv file, yielding DataFrames of chunkSize rows."
+    );
+
+    assert.deepEqual(
+        chunks.reduce((p, n) => p.union(n)).toCollection(),
+        fullDF.toCollection(),
+        "a csv file, giving the same rows than fromCSV."
+    );
+
+    const tmpPath = `${os.tmpdir()}/dataframe-js-stream.csv`;
+    fs.writeFileSync(
+        tmpPath,
+        'id,comment\n1,"multi\nline, ""quoted"""\n2,5" screen\n3,"end"\n'
+    );
+    const rows = [];
+    for await (const chunk of DataFrame.streamCSV(tmpPath, true, {
+        chunkSize: 1,
+        bufferSize: 4
+    })) {
+        rows.push(...chunk.toCollection());
+    }
+    fs.unlinkSync(tmpPath);
+
+    assert.deepEqual(
+        rows,
+        [
+            { id: "1", comment: 'multi\nline, "quoted"' },
+            { id: "2", comment: '5" screen' },
+            { id: "3", comment: "end" }
+        ],
+        "a csv file with quoted fields straddling read chunks."
+    );
+
+    const crPath = `${os.tmpdir()}/dataframe-js-stream-cr.csv`;
+    fs.writeFileSync(crPath, 'id,comment\r1,"a\rb"\r2,cc\r\n3,d\r4,e\r5,f');
+    const [crRows, crChunks] = [[], []];
+    for await (const chunk of DataFrame.streamCSV(crPath, true, {
+        chunkSize: 1,
+        bufferSize: 4
+    })) {
+        crRows.push(...chunk.toCollection());
+    }
+    for await (const chunk of DataFrame.streamCSV(crPath, true, {
+        chunkSize: 2
+    })) {
+        crChunks.push(chunk.toArray("id"));
+    }
+    fs.unlinkSync(crPath);
+
+    assert.deepEqual(
+        crRows,
+        [
+            { id: "1", comment: "a\rb" },
+            { id: "2", comment: "cc" },
+            { id: "3", comment: "d" },
+            { id: "4", comment: "e" },
+            { id: "5", comment: "f" }
+        ],
+        "a csv file with lone \\r line endings, as d3-dsv parses them."
+    );
+    assert.deepEqual(
+        crChunks,
+        [["1", "2"], ["3", "4"], ["5"]],
+        "a csv file read in a single piece, yielding every chunk of it."
+    );
+
+    await assert.throwsAsync(
+        async () => {
+            /* eslint-disable */
+            for await (const chunk of DataFrame.streamCSV("/not/a/file.csv")) {
+            }
+            /* eslint-enable */
+        },
+        { name: "FileNotFoundError" },
+        "a wrong path, throwing a FileNotFoundError."
+    );
+});
+
+test("DataFrame can be converted from and to ndjson", async assert => {
+    const currentPath = path.resolve(__dirname) + "/data";
+
+    const df = await DataFrame.fromNDJSON(`${currentPath}/logs.ndjson`);
+
+    assert.deepEqual(
+        df.listColumns(),
+        ["id", "level", "message", "duration"],
+        "by making the union of all records keys."
+    );
+
+    assert.deepEqual(
+        df.toCollection(),
+        [
+            { id: 1, level: "info", message: "started", duration: undefined },
+            { id: 2, level: "warn", message: "slow", duration: 350 },
+            { id: 3, level: "info", message: undefined, duration: undefined }
+        ],
+        "by ignoring blank lines."
+    );
+
+    assert.is(
+        df.select("id", "level").toNDJSON(),
+        '{"id":1,"level":"info"}\n{"id":2,"level":"warn"}\n{"id":3,"level":"info"}\n',
+        "by writing one row by line."
+    );
+
+    const tmpPath = `${os.tmpdir()}/dataframe-js-malformed.ndjson`;
+    fs.writeFileSync(tmpPath, '{"id":1}\n\n{"id":2,}\n');
+    const error = await DataFrame.fromNDJSON(tmpPath).catch(err => err);
+    fs.unlinkSync(tmpPath);
+
+    assert.is(
+        error.name,
+        "JSONLineParseError",
+        "by throwing JSONLineParseError on malformed records."
+    );
+    assert.is(error.lineNumber, 3, "by reporting the malformed line number.");
+
+    await assert.throwsAsync(
+        () => DataFrame.fromNDJSON(`${currentPath}/not_a_file.ndjson`),
+        { name: "FileNotFoundError" },
+        "by throwing FileNotFoundError on a wrong path."
+    );
+});
+
+test("DataFrame can be converted from nested json", async assert => {
+    const tmpPath = `${os.tmpdir()}/dataframe-js-nested.json`;
+    fs.writeFileSync(
+        tmpPath,
+        JSON.stringify([
+            { id: 1, address: { city: "Paris", geo: { lat: 48.8 } } },
+            { id: 2, address: { city: "Lyon" } }
+        ])
+    );
+    const df = await DataFrame.fromJSON(tmpPath, { flatten: true });
+    const shallowDF = await DataFrame.fromJSON(tmpPath, {
+        flatten: true,
+        separator: "_",
+        maxDepth: 1
+    });
+    fs.unlinkSync(tmpPath);
+
+    assert.deepEqual(
+        df.select("address.city").toArray("address.city"),
+        ["Paris", "Lyon"],
+        "by flattening nested Objects into columns."
+    );
+
+    assert.deepEqual(
+        shallowDF.listColumns(),
+        ["id", "address_city", "address_geo"],
+        "by flattening with a separator and a maximal depth."
+    );
+
+    assert.is(
+        df.unflatten().toJSON(true),
+        '[{"id":1,"address":{"city":"Paris","geo":{"lat":48.8}}},{"id":2,"address":{"city":"Lyon"}}]',
+        "and back after unflattening."
+    );
+});
+
+test("DataFrame can infer column types from", async assert => {
+    const currentPath = path.resolve(__dirname) + "/data";
+
+    const df = await DataFrame.fromCSV(`${currentPath}/Titanic.csv`, true, {
+        inferTypes: true
+    });
+
+    assert.deepEqual(
+        df.schema(),
+        {
+            "": "number",
+            Class: "string",
+            Sex: "string",
+            Age: "string",
+            Survived: "string",
+            Freq: "number"
+        },
+        "a csv file, detecting column types."
+    );
+    assert.deepEqual(
+        df.toCollection()[0],
+        {
+            "": 1,
+            Age: "Child",
+            Class: "1st",
+            Freq: 0,
+            Sex: "Male",
+            Survived: "No"
+        },
+        "a csv file, casting values."
+    );
+
+    const tmpPath = `${os.tmpdir()}/dataframe-js-types.csv`;
+    fs.writeFileSync(
+        tmpPath,
+        "id,active,created,score\n007,true,2019-01-02,1.5\n008,FALSE,2019-03-04T10:00:00Z,\n009,,,3\n"
+    );
+    const typedDF = await DataFrame.fromCSV(tmpPath, true, {
+        inferTypes: true,
+        types: { id: "string" }
+    });
+    const untypedDF = await DataFrame.fromCSV(tmpPath);
+    fs.unlinkSync(tmpPath);
+
+    assert.deepEqual(
+        typedDF.schema(),
+        { id: "string", active: "boolean", created: "date", score: "number" },
+        "a csv file, using the types overrides."
+    );
+    assert.deepEqual(
+        typedDF.toCollection(),
+        [
+            {
+                id: "007",
+                active: true,
+                created: new Date("2019-01-02"),
+                score: 1.5
+            },
+            {
+                id: "008",
+                active: false,
+                created: new Date("2019-03-04T10:00:00Z"),
+                score: null
+            },
+            { id: "009", active: null, created: null, score: 3 }
+        ],
+        "a csv file, replacing empty cells by null."
+    );
+    assert.deepEqual(
+        untypedDF.schema(),
+        {},
+        "a csv file, without inferring types by default."
+    );
+    assert.is(untypedDF.getRow(0).get("score"), "1.5");
+
+    const mixedPath = `${os.tmpdir()}/dataframe-js-mixed-types.csv`;
+    fs.writeFileSync(
+        mixedPath,
+        "id,active,score\n1,true,1.5\n2,false,2\n3,yes,n/a\n"
+    );
+    const mixedDF = await DataFrame.fromCSV(mixedPath, true, {
+        inferTypes: true,
+        sampleSize: 2
+    });
+    const error = await DataFrame.fromCSV(mixedPath, true, {
+        inferTypes: true,
+        sampleSize: 2,
+        types: { score: "number" }
+    }).catch(err => err);
+    fs.unlinkSync(mixedPath);
+
+    assert.deepEqual(
+        [mixedDF.schema(), mixedDF.toArray("active"), mixedDF.toArray("score")],
+        [
+            { id: "number", active: "string", score: "string" },
+            ["true", "false", "yes"],
+            ["1.5", "2", "n/a"]
+        ],
+        "a csv file, keeping columns with other types after the sample as strings."
+    );
+    assert.deepEqual(
+        [error.name, error.column, error.rowIndex],
+        ["CastError", "score", 2],
+        "a csv file, throwing CastError on overridden types not matching a value."
+    );
+});
@@ -0,0 +1,357 @@
+import test from "ava";
+
+import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
+
+test("DataFrame can be lazily", assert => {
+    const df = new DataFrame(
+        {
+            id: [1, 2, 3, 4, 5],
+            value: [10, 20, 30, 40, 50],
+            group: ["a", "b", "a", "b", "a"]
+        },
+        ["id", "value", "group"]
+    );
+    const df2 = new DataFrame(
+        {
+            id: [1, 2, 3, 6],
+            label: ["one", "two", "three", "six"]
+        },
+        ["id", "label"]
+    );
+
+    const lazyDF = df
+        .lazy()
+        .filter(row => row.get("value") > 10)
+        .map(row => row.set("value", row.get("value") * 2))
+        .withColumn("double", row => row.get("id") * 2)
+        .select("id", "value", "double", "group")
+        .select("id", "value", "group");
+
+    assert.is(
+        df.count(),
+        5,
+        "recorded without executing anything."
+    );
+
+    assert.deepEqual(
+        lazyDF.collect().toCollection(),
+        df
+            .filter(row => row.get("value") > 10)
+            .map(row => row.set("value", row.get("value") * 2))
+            .withColumn("double", row => row.get("id") * 2)
+            .select("id", "value", "double", "group")
+            .select("id", "value", "group")
+            .toCollection(),
+        "collected with the same result than eager operations."
+    );
+
+    assert.is(
+        lazyDF.explain(false, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            "-> Filter",
+            "-> Map",
+            "-> WithColumn double",
+            "-> Select [id, value, double, group]",
+            "-> Select [id, value, group]"
+        ].join("\n"),
+        "explained as recorded."
+    );
+
+    assert.is(
+        lazyDF.explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            "-> Chain [Filter, Map]",
+            "-> WithColumn double",
+            "-> Select [id, value, group]"
+        ].join("\n"),
+        "explained with fused maps, filters and selects."
+    );
+
+    const joinedLazyDF = df
+        .lazy()
+        .join(df2, "id", "inner")
+        .filter({ group: "a" })
+        .filter(row => row.get("label") !== "one", ["label"])
+        .filter({ id: 3 });
+
+    assert.is(
+        joinedLazyDF.explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            '-> Filter {"group":"a"}',
+            '-> Filter {"id":3}',
+            "-> Join inner on [id]",
+            "    Scan DataFrame [4 rows x 2 columns]",
+            "    -> Filter on [label]",
+            '    -> Filter {"id":3}'
+        ].join("\n"),
+        "explained with filters pushed before joins."
+    );
+
+    assert.deepEqual(
+        joinedLazyDF.collect().toCollection(),
+        [{ id: 3, value: 30, group: "a", label: "three" }],
+        "collected with filters pushed before joins."
+    );
+
+    assert.is(
+        df
+            .lazy()
+            .join(df2, "id", "left")
+            .filter({ label: "two" })
+            .explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            "-> Join left on [id]",
+            "    Scan DataFrame [4 rows x 2 columns]",
+            '-> Filter {"label":"two"}'
+        ].join("\n"),
+        "explained without pushing filters on the optional side of a join."
+    );
+
+    const renamedLazyDF = df
+        .lazy()
+        .join(df2.rename("id", "key"), { left: "id", right: "key" })
+        .filter({ id: 2 })
+        .filter(row => row.get("id") > 1, ["id"]);
+
+    assert.is(
+        renamedLazyDF.explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            '-> Filter {"id":2}',
+            "-> Filter on [id]",
+            "-> Join inner on [id = key]",
+            "    Scan DataFrame [4 rows x 2 columns]",
+            '    -> Filter {"key":2}'
+        ].join("\n"),
+        "explained with filters pushed before joins on differently named columns."
+    );
+
+    assert.deepEqual(
+        renamedLazyDF.collect().toCollection(),
+        [{ id: 2, value: 20, group: "b", label: "two" }],
+        "collected with filters pushed before joins on differently named columns."
+    );
+
+    assert.is(
+        df
+            .lazy()
+            .semiJoin(df2, "id")
+            .crossJoin(df2.select("label"))
+            .filter({ group: "a" })
+            .filter({ label: "six" })
+            .explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            '-> Filter {"group":"a"}',
+            "-> Join semi on [id]",
+            "    Scan DataFrame [4 rows x 2 columns]",
+            "-> Join cross",
+            "    Scan DataFrame [4 rows x 1 columns]",
+            '    -> Filter {"label":"six"}'
+        ].join("\n"),
+        "explained with filters pushed before semi and cross joins."
+    );
+
+    const windows = new DataFrame(
+        { start: [0, 25], end: [20, 40] },
+        ["start", "end"]
+    );
+    const joinedWhereLazyDF = df
+        .lazy()
+        .joinWhere(windows, { left: "value", right: ["start", "end"] }, "semi")
+        .filter({ group: "a" })
+        .joinWhere(windows.select("start"), (row, window) =>
+            row.get("value") > window.get("start")
+        )
+        .filter({ start: 0 });
+
+    assert.is(
+        joinedWhereLazyDF.explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            '-> Filter {"group":"a"}',
+            "-> JoinWhere semi on [value] in [start, end]",
+            "    Scan DataFrame [2 rows x 2 columns]",
+            "-> JoinWhere inner",
+            "    Scan DataFrame [2 rows x 1 columns]",
+            '-> Filter {"start":0}'
+        ].join("\n"),
+        "explained with filters pushed before semi joins on conditions only."
+    );
+
+    assert.deepEqual(
+        joinedWhereLazyDF.collect().toArray(),
+        [
+            [1, 10, "a", 0],
+            [3, 30, "a", 0]
+        ],
+        "collected with joins on conditions."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .withColumn("position", (row, index) => index)
+            .filter({ group: "b" })
+            .collect()
+            .toCollection(),
+        df
+            .withColumn("position", (row, index) => index)
+            .filter({ group: "b" })
+            .toCollection(),
+        "collected as eagerly, without pushing filters before index reads."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .filter(row => row.get("group") === "b")
+            .filter((row, index) => index === 0)
+            .map((row, index) => row.set("value", index))
+            .collect()
+            .toCollection(),
+        df
+            .filter(row => row.get("group") === "b")
+            .filter((row, index) => index === 0)
+            .map((row, index) => row.set("value", index))
+            .toCollection(),
+        "collected as eagerly, with fused functions reading their own row index."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .withColumn("position", function() {
+                return arguments[1];
+            })
+            .filter({ group: "b" })
+            .collect()
+            .toArray("position"),
+        [1, 3],
+        "collected as eagerly, with functions reading the index from arguments."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .filter(row => row.get("value") > 20)
+            .map((row, index = 0) => row.set("value", index))
+            .collect()
+            .toArray("value"),
+        [0, 1, 2],
+        "collected as eagerly, with functions reading the index by default parameters."
+    );
+
+    assert.is(
+        df
+            .lazy()
+            .withColumn("double", row => row.get("value") * 2, ["value"])
+            .filter({ group: "a" })
+            .explain(true, true),
+        [
+            "Scan DataFrame [5 rows x 3 columns]",
+            '-> Filter {"group":"a"}',
+            "-> WithColumn double"
+        ].join("\n"),
+        "explained with filters pushed before functions given with their columns."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .union(df.lazy().filter({ group: "b" }))
+            .filter({ group: "a" })
+            .collect()
+            .toArray("id"),
+        [1, 3, 5],
+        "collected with filters pushed before unions."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .rename("value", "amount")
+            .sortBy("amount", true)
+            .slice(0, 2)
+            .collect()
+            .toArray("amount"),
+        [50, 40],
+        "collected with renames, sorts and slices."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .filter({ group: "a" })
+            .groupBy("group")
+            .collect()
+            .aggregate(group => group.count())
+            .toCollection(),
+        [{ group: "a", aggregation: 3 }],
+        "collected as a GroupedDataFrame."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .select("id", "group")
+            .rename("group", "category")
+            .columns(),
+        ["id", "category"],
+        "listed by columns before execution."
+    );
+
+    assert.deepEqual(
+        df
+            .lazy()
+            .join(df.select("id", "value"), "id", "inner", {
+                suffixes: ["_x", "_y"]
+            })
+            .columns(),
+        ["id", "value_x", "group", "value_y"],
+        "listed by columns before execution, with join suffixes."
+    );
+});
+
+test("DataFrame can't be lazily", assert => {
+    const df = new DataFrame(
+        {
+            id: [1, 2, 3],
+            value: [10, 20, 30]
+        },
+        ["id", "value"]
+    );
+
+    assert.is(
+        tryCatch(() =>
+            df
+                .lazy()
+                .groupBy("id")
+                .select("id")
+        ).name,
+        "LazyPlanError",
+        "recorded after a groupBy."
+    );
+
+    assert.is(
+        tryCatch(() =>
+            df
+                .lazy()
+                .select("unknown")
+                .collect()
+        ).name,
+        "NoSuchColumnError",
+        "collected when selecting an unknown column."
+    );
+
+    assert.is(
+        tryCatch(() => df.lazy().join([], "id")).name,
+        "ArgumentTypeError",
+        "joined with something else than a DataFrame."
+    );
+});
@@ -0,0 +1,119 @@
+import test from "ava";
+
+import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
+
+const round = values =>
+    values.map(value =>
+        value === undefined ? value : Math.round(value * 1000) / 1000
+    );
+
+test("DataFrame can be rolled", assert => {
+    const df = new DataFrame(
+        {
+            group: ["a", "a", "b", "a", "b", "a"],
+            price: [1, 3, 10, 2, undefined, 5]
+        },
+        ["group", "price"]
+    );
+
+    assert.deepEqual(
+        ["sum", "mean", "min", "max"].map(func =>
+            df.rolling("price", 3)[func]()
+        ),
+        [
+            [undefined, undefined, 14, 15, undefined, undefined],
+            [undefined, undefined, 14 / 3, 5, undefined, undefined],
+            [undefined, undefined, 1, 2, undefined, undefined],
+            [undefined, undefined, 10, 10, undefined, undefined]
+        ],
+        "with complete windows only."
+    );
+
+    assert.deepEqual(
+        ["sum", "min", "max"].map(func =>
+            df.rolling("price", 3, { minPeriods: 1 })[func]()
+        ),
+        [
+            [1, 4, 14, 15, 12, 7],
+            [1, 1, 1, 2, 2, 2],
+            [1, 3, 10, 10, 10, 5]
+        ],
+        "with a minimal number of values, ignoring missing ones."
+    );
+
+    assert.deepEqual(
+        [
+            round(df.rolling("price", 3, { minPeriods: 2 }).var()),
+            round(df.rolling("price", 3, { minPeriods: 2 }).sd(true))
+        ],
+        [
+            [undefined, 2, 22.333, 19, 32, 4.5],
+            [undefined, 1, 3.859, 3.559, 4, 1.5]
+        ],
+        "with variances and standard deviations."
+    );
+
+    assert.deepEqual(
+        df.rolling("price", 3, { minPeriods: 2, center: true }).sum(),
+        [4, 14, 15, 12, 7, undefined],
+        "with centered windows."
+    );
+
+    assert.deepEqual(
+        df.rolling("price", 2).apply(prices => prices.join("-")),
+        [undefined, "1-3", "3-10", "10-2", undefined, undefined],
+        "with a custom function."
+    );
+
+    assert.deepEqual(
+        [
+            df.expanding("price").sum(),
+            df.expanding("price", { minPeriods: 3 }).max()
+        ],
+        [
+            [1, 4, 14, 16, 16, 21],
+            [undefined, undefined, 10, 10, 10, 10]
+        ],
+        "with expanding windows."
+    );
+
+    assert.deepEqual(
+        [
+            df.groupBy("group").rolling("price", 2).sum(),
+            df.groupBy("group").expanding("price").mean()
+        ],
+        [
+            [undefined, 4, undefined, 5, undefined, 7],
+            [1, 2, 10, 2, 10, 2.75]
+        ],
+        "by group, in the DataFrame order."
+    );
+
+    assert.deepEqual(
+        df
+            .window({ orderBy: "price", reverse: true })
+            .withColumn("max", w =>
+                w.rolling("price", 2, { minPeriods: 1 }).max()
+            )
+            .toArray("max"),
+        [2, 5, 10, 3, undefined, 10],
+        "from a window."
+    );
+});
+
+test("DataFrame can't be rolled", assert => {
+    const df = new DataFrame({ price: [1, 2] }, ["price"]);
+
+    assert.is(
+        tryCatch(() => df.rolling("price", 0)).name,
+        "ArgumentTypeError",
+        "with a window size which is not a positive integer."
+    );
+
+    assert.is(
+        tryCatch(() => df.rolling("value", 2)).name,
+        "NoSuchColumnError",
+        "on an unknown column."
+    );
+});
@@ -1,6 +1,7 @@
 import test from "ava";
 
 import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
 
 test("DataFrame can be empty", assert => {
     try {
@@ -132,3 +133,139 @@ test("DataFrame can detect schema changes", assert => {
         "with multiple column added using Row.set() without changing structure."
     );
 });
+
+test("DataFrame can declare column types", assert => {
+    const df = new DataFrame(
+        [
+            { name: "Alice", age: 32, birth: new Date("1987-06-02") },
+            { name: "Bob", age: null, birth: new Date("1990-01-15") }
+        ],
+        { name: "string", age: "number", birth: "date" }
+    );
+
+    assert.deepEqual(
+        df.schema(),
+        { name: "string", age: "number", birth: "date" },
+        "by giving a schema to the constructor."
+    );
+    assert.deepEqual(
+        df.listColumns(),
+        ["name", "age", "birth"],
+        "by giving a schema defining columns."
+    );
+
+    assert.is(
+        tryCatch(
+            () =>
+                new DataFrame([{ name: "Alice", age: "32" }], {
+                    name: "string",
+                    age: "number"
+                })
+        ).name,
+        "ColumnTypeError",
+        "by validating values on construction."
+    );
+    assert.is(
+        tryCatch(() => new DataFrame([{ name: "Alice" }], { name: "text" }))
+            .name,
+        "ArgumentTypeError",
+        "by validating types names."
+    );
+    assert.is(
+        tryCatch(() => df.withColumn("age", () => "old")).name,
+        "ColumnTypeError",
+        "by validating modified typed columns."
+    );
+
+    assert.deepEqual(
+        df.select("name", "age").schema(),
+        { name: "string", age: "number" },
+        "by preserving types through select."
+    );
+    assert.deepEqual(
+        df.withColumn("age", row => row.get("age") + 1).schema(),
+        { name: "string", age: "number", birth: "date" },
+        "by preserving types through withColumn."
+    );
+    assert.deepEqual(
+        df.rename("age", "years").schema(),
+        { name: "string", years: "number", birth: "date" },
+        "by preserving types through rename."
+    );
+    assert.deepEqual(
+        df.union(df).schema(),
+        df.schema(),
+        "by preserving types through union."
+    );
+    assert.is(
+        tryCatch(() =>
+            df.union(new DataFrame([["Carl", "5", null]], df.listColumns()))
+        ).name,
+        "ColumnTypeError",
+        "by validating unioned rows."
+    );
+    assert.deepEqual(
+        df
+            .join(
+                new DataFrame([{ name: "Alice", city: "Paris" }], {
+                    name: "string",
+                    city: "string"
+                }),
+                "name"
+            )
+            .schema(),
+        { name: "string", age: "number", birth: "date", city: "string" },
+        "by merging types through join."
+    );
+
+    const gdf = df.groupBy("name");
+    assert.deepEqual(
+        gdf.toCollection()[0].group.schema(),
+        df.schema(),
+        "by preserving types into groups."
+    );
+    assert.deepEqual(
+        gdf.aggregate(group => group.count()).schema(),
+        { name: "string" },
+        "by preserving group keys types through groupBy."
+    );
+
+    assert.deepEqual(
+        df.cast("age", String).schema(),
+        { name: "string", birth: "date" },
+        "by forgetting types of casted columns."
+    );
+
+    const typedDF = new DataFrame(
+        [
+            { id: "1", score: "1.5", ok: "true" },
+            { id: "2", score: "", ok: "false" }
+        ],
+        ["id", "score", "ok"]
+    ).withSchema({ score: "number", ok: "boolean" }, true);
+    assert.deepEqual(
+        typedDF.toCollection(),
+        [
+            { id: "1", score: 1.5, ok: true },
+            { id: "2", score: null, ok: false }
+        ],
+        "by casting values with withSchema."
+    );
+    assert.is(
+        typedDF.stat.min("score"),
+        1.5,
+        "by avoiding to cast missing numbers in stats."
+    );
+
+    assert.is(
+        df.select("name", "age").show(10, true),
+        [
+            "| name      | age       |",
+            "| <string>  | <number>  |",
+            "------------------------",
+            "| Alice     | 32        |",
+            "| Bob       | null      |"
+        ].join("\n"),
+        "by showing types under the header."
+    );
+});
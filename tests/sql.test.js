@@ -142,6 +142,52 @@ test("DataFrame sql module can ", assert => {
         "select everything from a join (inner on two columns) between 2 tables."
     );
 
+    const renamedDF2 = df2.renameAll(["tmpId", "tmpId2", "column3", "column4"]);
+    DataFrame.sql.registerTable(renamedDF2, "renamedTmp2");
+    assert.deepEqual(
+        DataFrame.sql
+            .request(
+                "SELECT * FROM tmp LEFT JOIN renamedTmp2 ON tmp.id = renamedTmp2.tmpId AND renamedTmp2.tmpId2 = tmp.id2"
+            )
+            .toDict(),
+        df1
+            .leftJoin(renamedDF2, {
+                left: ["id", "id2"],
+                right: ["tmpId", "tmpId2"]
+            })
+            .toDict(),
+        "select everything from a join on differently named columns."
+    );
+
+    assert.deepEqual(
+        [
+            DataFrame.sql
+                .request(
+                    "SELECT * FROM tmp LEFT SEMI JOIN renamedTmp2 ON tmp.id = renamedTmp2.tmpId"
+                )
+                .toDict(),
+            DataFrame.sql
+                .request(
+                    "SELECT * FROM tmp ANTI JOIN renamedTmp2 ON tmp.id = renamedTmp2.tmpId"
+                )
+                .toDict()
+        ],
+        [
+            df1.semiJoin(renamedDF2, { left: "id", right: "tmpId" }).toDict(),
+            df1.antiJoin(renamedDF2, { left: "id", right: "tmpId" }).toDict()
+        ],
+        "select everything from semi and anti joins."
+    );
+
+    assert.deepEqual(
+        DataFrame.sql
+            .request("SELECT * FROM tmp CROSS JOIN renamedTmp2")
+            .toDict(),
+        df1.crossJoin(renamedDF2).toDict(),
+        "select everything from a cross join."
+    );
+    DataFrame.sql.dropTable("renamedTmp2");
+
     assert.deepEqual(
         DataFrame.sql
             .request(
@@ -1,6 +1,7 @@
 import test from "ava";
 
 import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
 
 test("DataFrame stat module can ", assert => {
     const df = new DataFrame(
@@ -118,3 +119,217 @@ test("DataFrame stat module works with negative values ", assert => {
         "compute the minimal numerical value of a column (2)."
     );
 });
+
+test("DataFrame stat module can summarize columns", assert => {
+    const df = new DataFrame(
+        {
+            column1: [4, 1, 3, 3, 10, undefined],
+            column2: ["x", "y", "x", null, "z", "x"],
+            column3: [2.5, NaN, 1, 1, 1, 4]
+        },
+        ["column1", "column2", "column3"]
+    );
+
+    assert.is(df.stat.median("column1"), 3, "compute the median of a column.");
+
+    assert.deepEqual(
+        ["linear", "lower", "higher", "nearest", "midpoint"].map(method =>
+            df.stat.quantile("column1", 0.875, method)
+        ),
+        [7, 4, 10, 10, 7],
+        "compute a quantile of a column with several methods."
+    );
+
+    assert.deepEqual(
+        df.stat.quantile("column3", [0, 0.25, 0.75, 1]),
+        [1, 1, 2.5, 4],
+        "compute several quantiles of a column ignoring non-numerical values."
+    );
+
+    assert.is(
+        df.stat.iqr("column1"),
+        1,
+        "compute the interquartile range of a column."
+    );
+
+    assert.deepEqual(
+        [df.stat.mode("column1"), df.stat.mode("column2")],
+        [3, "x"],
+        "compute the most frequent value of a column."
+    );
+
+    assert.deepEqual(
+        df.stat
+            .describe()
+            .withColumn("sd", row => Math.round(row.get("sd") * 1000) / 1000)
+            .toCollection(),
+        [
+            {
+                column: "column1",
+                count: 5,
+                nulls: 1,
+                mean: 4.2,
+                sd: 3.421,
+                min: 1,
+                p25: 3,
+                p50: 3,
+                p75: 4,
+                max: 10,
+                distinct: 4
+            },
+            {
+                column: "column3",
+                count: 5,
+                nulls: 1,
+                mean: 1.9,
+                sd: 1.342,
+                min: 1,
+                p25: 1,
+                p50: 1,
+                p75: 2.5,
+                max: 4,
+                distinct: 3
+            }
+        ],
+        "describe the numeric columns."
+    );
+
+    assert.deepEqual(
+        df.stat
+            .describe("column2")
+            .select("column", "count", "nulls", "mean", "distinct")
+            .toCollection(),
+        [
+            {
+                column: "column2",
+                count: 0,
+                nulls: 1,
+                mean: undefined,
+                distinct: 3
+            }
+        ],
+        "describe a given column."
+    );
+});
+
+test("DataFrame stat module can correlate columns", assert => {
+    const df = new DataFrame(
+        {
+            column1: [1, 2, 3, 4, 5, undefined],
+            column2: [2, 4, 5, 4, 5, 7],
+            column3: [5, 3, "yolo", 2, 1, 0]
+        },
+        ["column1", "column2", "column3"]
+    );
+    const round = value => Math.round(value * 10000) / 10000;
+
+    assert.is(
+        df.stat.cov("column1", "column2"),
+        1.5,
+        "compute the covariance of two columns on rows with both values."
+    );
+
+    assert.deepEqual(
+        ["pearson", "spearman", "kendall"].map(method =>
+            round(df.stat.corr("column1", "column2", method))
+        ),
+        [0.7746, 0.7379, 0.6708],
+        "compute the correlation of two columns with several methods."
+    );
+
+    assert.deepEqual(
+        ["pearson", "spearman", "kendall"].map(method =>
+            round(df.stat.corr("column1", "column3", method))
+        ),
+        [-0.9621, -1, -1],
+        "compute the correlation of two columns ignoring non-numerical values."
+    );
+
+    assert.deepEqual(
+        df.stat
+            .corrMatrix()
+            .withColumn("column1", row => round(row.get("column1")))
+            .withColumn("column2", row => round(row.get("column2")))
+            .toArray(),
+        [
+            ["column1", 1, 0.7746],
+            ["column2", 0.7746, 1]
+        ],
+        "compute the correlation matrix of the numeric columns."
+    );
+
+    assert.deepEqual(
+        df.stat
+            .corrMatrix(["column3", "column1"], "spearman")
+            .toArray(),
+        [
+            ["column3", 1, -1],
+            ["column1", -1, 1]
+        ],
+        "compute the correlation matrix of given columns."
+    );
+
+    assert.is(
+        tryCatch(() => df.stat.corr("column1", "column2", "cubic")).name,
+        "ArgumentTypeError",
+        "throw an error with an unknown correlation method."
+    );
+});
+
+test("DataFrame stat module can compute histograms", assert => {
+    const df = new DataFrame(
+        {
+            column1: [0, 1, 2, 5, 9, 10, "yolo", undefined],
+            column2: [3, 3, 3, 3, 3, 3, 3, 3]
+        },
+        ["column1", "column2"]
+    );
+
+    assert.deepEqual(
+        df.stat.histogram("column1", { bins: 4 }).toArray(),
+        [
+            [0, 2.5, 3],
+            [2.5, 5, 0],
+            [5, 7.5, 1],
+            [7.5, 10, 2]
+        ],
+        "compute a histogram with bins of equal width."
+    );
+
+    assert.deepEqual(
+        df.stat.histogram("column1", { binEdges: [1, 5, 9] }).toArray(),
+        [
+            [1, 5, 2],
+            [5, 9, 2]
+        ],
+        "compute a histogram with given edges, ignoring values outside of them."
+    );
+
+    assert.deepEqual(
+        df.stat.histogram("column2", { bins: 1 }).toArray(),
+        [[2.5, 3.5, 8]],
+        "compute a histogram of a constant column."
+    );
+
+    assert.deepEqual(
+        df.stat.histogram("column1").listColumns(),
+        ["start", "end", "count"],
+        "compute a histogram with 10 bins by default."
+    );
+});
+
+test("DataFrame stat module can't compute quantiles", assert => {
+    const df = new DataFrame({ column1: [1, 2, 3] }, ["column1"]);
+
+    assert.is(
+        tryCatch(() => df.stat.quantile("column1", 1.5)).name,
+        "ArgumentTypeError",
+        "outside of 0 and 1."
+    );
+
+    assert.is(
+        tryCatch(() => df.stat.quantile("column1", 0.5, "cubic")).name,
+        "ArgumentTypeError",
+        "with an unknown method."
+    );
+});
@@ -0,0 +1,125 @@
+import test from "ava";
+
+import { DataFrame } from "../src/index";
+import { tryCatch } from "./utils";
+
+test("DataFrame can be windowed", assert => {
+    const df = new DataFrame(
+        {
+            ticker: ["A", "B", "A", "B", "A", "A"],
+            day: [3, 1, 1, 2, 2, 4],
+            price: [30, 10, 10, 20, undefined, 10]
+        },
+        ["ticker", "day", "price"]
+    );
+    const windowedDF = df.window({ partitionBy: "ticker", orderBy: "day" });
+
+    assert.deepEqual(
+        windowedDF
+            .withColumn("previous", w => w.lag("price"))
+            .window({ partitionBy: "ticker", orderBy: "day" })
+            .withColumn("next", w => w.lead("price", 1, 0))
+            .toArray(),
+        [
+            ["A", 3, 30, undefined, 10],
+            ["B", 1, 10, undefined, 20],
+            ["A", 1, 10, undefined, undefined],
+            ["B", 2, 20, 10, 0],
+            ["A", 2, undefined, 10, 30],
+            ["A", 4, 10, 30, 0]
+        ],
+        "with lag and lead, keeping the DataFrame order."
+    );
+
+    assert.deepEqual(
+        windowedDF.withColumn("n", w => w.rowNumber()).toArray("n"),
+        [3, 1, 1, 2, 2, 4],
+        "with row numbers."
+    );
+
+    assert.deepEqual(
+        ["cumSum", "cumMax", "cumMin"].map(func =>
+            windowedDF
+                .withColumn("cumulative", w => w[func]("price"))
+                .toArray("cumulative")
+        ),
+        [
+            [40, 10, 10, 30, 10, 50],
+            [30, 10, 10, 20, 10, 30],
+            [10, 10, 10, 10, 10, 10]
+        ],
+        "with cumulative sums, maximums and minimums ignoring missing values."
+    );
+
+    const rankedDF = df.window({ orderBy: "ticker", reverse: true });
+
+    assert.deepEqual(
+        ["rank", "denseRank", "percentRank"].map(func =>
+            rankedDF.withColumn("rank", w => w[func]()).toArray("rank")
+        ),
+        [
+            [3, 1, 3, 1, 3, 3],
+            [2, 1, 2, 1, 2, 2],
+            [0.4, 0, 0.4, 0, 0.4, 0.4]
+        ],
+        "with ranks on the whole DataFrame."
+    );
+
+    assert.deepEqual(
+        df
+            .window({ partitionBy: ["ticker"] })
+            .withColumn("price", w => w.cumSum("day"))
+            .toArray("price"),
+        [3, 1, 4, 3, 6, 10],
+        "without order, replacing a column."
+    );
+
+    const namedDF = new DataFrame(
+        { __windowIndex__: ["a", "b", "c"], day: [3, 1, 2] },
+        ["__windowIndex__", "day"]
+    );
+    const partitionsColumns = [];
+    const numberedDF = namedDF
+        .window({ orderBy: "day" })
+        .withColumn("n", w => {
+            partitionsColumns.push(w.df.toDict());
+            return w.rowNumber();
+        });
+
+    assert.deepEqual(
+        [partitionsColumns, numberedDF.toDict()],
+        [
+            [{ __windowIndex__: ["b", "c", "a"], day: [1, 2, 3] }],
+            { __windowIndex__: ["a", "b", "c"], day: [3, 1, 2], n: [3, 1, 2] }
+        ],
+        "without adding columns to the partitions, nor altering the DataFrame ones."
+    );
+});
+
+test("DataFrame can't be windowed", assert => {
+    const df = new DataFrame({ id: [1, 2] }, ["id"]);
+
+    assert.is(
+        tryCatch(() =>
+            df.window({ orderBy: "date" }).withColumn("n", w => w.rowNumber())
+        ).name,
+        "NoSuchColumnError",
+        "ordered by an unknown column."
+    );
+
+    assert.is(
+        tryCatch(() => df.window().withColumn("previous", w => w.lag("price")))
+            .name,
+        "NoSuchColumnError",
+        "reading an unknown column."
+    );
+
+    assert.deepEqual(
+        [
+            tryCatch(() => df.window().withColumn("n", () => 1)).name,
+            tryCatch(() => df.window().withColumn("n", () => [1])).name
+        ],
+        ["ArgumentTypeError", "ArgumentTypeError"],
+        "with a function not giving an Array of one value by partition row."
+    );
+});